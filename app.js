@@ -20,15 +20,20 @@
 
 const events = require('node:events');
 const fs = require('node:fs');
+const { join } = require('node:path');
 const URL = require('node:url').URL;
 const backup = require('./includes/backup.js');
+const { readBackupFileLastSeq } = require('./includes/backupfiles.js');
+const cliutils = require('./includes/cliutils.js');
 const defaults = require('./includes/config.js').apiDefaults;
+const { compressions } = require('./includes/compression.js');
+const { validateEncryptionKeyFile } = require('./includes/encryption.js');
+const { databaseFileName, forEachDatabase, listBackupFiles, listDatabases, LOG_FILE_EXTENSION } = require('./includes/databases.js');
 const { convertError, BackupError, OptionError } = require('./includes/error.js');
 const { newClient } = require('./includes/request.js');
 const restoreInternal = require('./includes/restore.js');
+const { VolumeWritable } = require('./includes/volumes.js');
 const debug = require('debug')('couchbackup:app');
-const pkg = require('./package.json');
-const { RESUME_COMMENT } = require('./includes/restoreMappings.js');
 
 /**
  * Test for a positive, safe integer.
@@ -95,10 +100,40 @@ function validateOptions(opts) {
     { key: 'bufferSize', type: 'number' },
     { key: 'parallelism', type: 'number' },
     { key: 'requestTimeout', type: 'number' },
-    { key: 'mode', type: 'enum', values: ['full', 'shallow'] },
+    { key: 'mode', type: 'enum', values: ['full', 'shallow', 'continuous'] },
     { key: 'resume', type: 'boolean' },
     { key: 'quiet', type: 'boolean' },
-    { key: 'attachments', type: 'boolean' }
+    { key: 'attachments', type: 'boolean' },
+    { key: 'attachmentsDir', type: 'string' },
+    { key: 'maxAttachmentSize', type: 'number' },
+    { key: 'attachmentContentTypes', type: 'string' },
+    { key: 'verifyAttachments', type: 'boolean' },
+    { key: 'compress', type: 'enum', values: compressions },
+    { key: 'format', type: 'enum', values: ['json', 'ndjson', 'tar'] },
+    { key: 'encrypt', type: 'boolean' },
+    { key: 'encryptionKeyFile', type: 'string' },
+    { key: 'encryptionPassphrase', type: 'string' },
+    { key: 'maxVolumeSize', type: 'number' },
+    { key: 'selector', type: 'object' },
+    { key: 'startKey', type: 'string' },
+    { key: 'endKey', type: 'string' },
+    { key: 'idPrefix', type: 'string' },
+    { key: 'partition', type: 'string' },
+    { key: 'since', type: 'string' },
+    { key: 'untilSeq', type: 'string' },
+    { key: 'until', type: 'date' },
+    { key: 'allDbs', type: 'boolean' },
+    { key: 'dbPattern', type: 'string' },
+    { key: 'dbParallelism', type: 'number' },
+    { key: 'dbPrefix', type: 'string' },
+    { key: 'dbNameMap', type: 'object' },
+    { key: 'restoreSecurity', type: 'boolean' },
+    { key: 'create', type: 'boolean' },
+    { key: 'localDocs', type: 'boolean' },
+    { key: 'revsLimit', type: 'number' },
+    { key: 'revs', type: 'boolean' },
+    { key: 'winnersOnly', type: 'boolean' },
+    { key: 'allowUnverified', type: 'boolean' }
   ];
 
   for (const rule of rules) {
@@ -122,36 +157,87 @@ function validateOptions(opts) {
             .reduce((acc, w, i, arr) => {
               return acc + (i < arr.length - 1 ? ', ' : ' or ') + w;
             });
-          throw new OptionError(`Invalid mode option, must be either ${humanized}`);
+          throw new OptionError(`Invalid ${rule.key} option, must be either ${humanized}`);
         }
         break;
       case 'boolean':
         if (typeof val !== 'undefined' && typeof val !== 'boolean') {
           throw new OptionError(`Invalid ${rule.key} option, must be type boolean`);
         }
+        break;
+      case 'object':
+        if (typeof val !== 'undefined' && (val === null || typeof val !== 'object' || Array.isArray(val))) {
+          throw new OptionError(`Invalid ${rule.key} option, must be an object`);
+        }
+        break;
+      case 'date':
+        if (typeof val !== 'undefined' && (typeof val !== 'string' || isNaN(Date.parse(val)))) {
+          throw new OptionError(`Invalid ${rule.key} option, must be a date and time string`);
+        }
+    }
+  }
+  for (const key of ['attachmentsDir', 'maxAttachmentSize', 'attachmentContentTypes', 'verifyAttachments']) {
+    if (typeof opts[key] !== 'undefined' && !opts.attachments) {
+      throw new OptionError(`Invalid ${key} option, it is only valid with the attachments option`);
     }
   }
+  if (typeof opts.attachmentsDir !== 'undefined' && opts.format === 'tar') {
+    throw new OptionError('Invalid attachmentsDir option, it cannot be used with the tar format');
+  }
+  if (typeof opts.attachmentsDir !== 'undefined' && opts.encrypt) {
+    // The attachment files are not encrypted
+    throw new OptionError('Invalid attachmentsDir option, it cannot be used with the encrypt option');
+  }
+  if (opts.encryptionKeyFile && opts.encryptionPassphrase) {
+    throw new OptionError('Invalid encryptionPassphrase option, it cannot be used with the encryptionKeyFile option');
+  }
+  if (opts.encrypt && !opts.encryptionKeyFile && !opts.encryptionPassphrase) {
+    throw new OptionError('Invalid encrypt option, it requires the encryptionKeyFile or encryptionPassphrase option');
+  }
+  if (typeof opts.maxVolumeSize !== 'undefined' && typeof opts.output !== 'string') {
+    throw new OptionError('Invalid maxVolumeSize option, it requires the output option to name the volume files');
+  }
+  if (opts.encryptionKeyFile && !fs.existsSync(opts.encryptionKeyFile)) {
+    throw new OptionError(`Invalid encryptionKeyFile option, the file ${opts.encryptionKeyFile} does not exist`);
+  }
+  if (opts.encryptionKeyFile) {
+    validateEncryptionKeyFile(opts.encryptionKeyFile);
+  }
   return true;
 }
 
 /**
- * Show warning on invalid params in shallow mode.
+ * Check that options which only apply to one mode are not used with the other mode.
  *
  * @param {object} opts - Options.
+ * @returns Boolean true if all checks are passing.
  */
-function shallowModeWarnings(opts) {
-  if (!opts || opts.mode !== 'shallow') {
-    return;
+function validateModeOptions(opts) {
+  if (!opts) {
+    return true;
   }
-  // Perform validation of invalid options for shallow mode and WARN
-  // We don't error for backwards compatibility with scripts that may have been
-  // written passing complete sets of options through
-  if (opts.log || opts.resume) {
-    console.warn('WARNING: the options "log" and "resume" are invalid when using shallow mode.');
+  const modeOnlyOptions = {
+    selector: ['full', 'continuous'],
+    since: ['full', 'continuous'],
+    startKey: ['shallow'],
+    endKey: ['shallow'],
+    idPrefix: ['shallow'],
+    revs: ['shallow'],
+    signal: ['continuous']
+  };
+  const mode = opts.mode || 'full';
+  for (const [key, validModes] of Object.entries(modeOnlyOptions)) {
+    if (!validModes.includes(mode) && typeof opts[key] !== 'undefined') {
+      throw new OptionError(`Invalid ${key} option, it is only valid when using ${validModes.join(' or ')} mode`);
+    }
+  }
+  if (typeof opts.partition !== 'undefined' && (opts.partition === '' || opts.partition.startsWith('_') || opts.partition.includes(':'))) {
+    throw new OptionError('Invalid partition option, must be a non-empty partition key without ":" that does not start with "_"');
   }
-  if (opts.parallelism) {
-    console.warn('WARNING: the option "parallelism" has no effect when using shallow mode.');
+  if (typeof opts.idPrefix !== 'undefined' && (typeof opts.startKey !== 'undefined' || typeof opts.endKey !== 'undefined')) {
+    throw new OptionError('Invalid idPrefix option, it cannot be used with the startKey or endKey options');
   }
+  return true;
 }
 
 /**
@@ -163,9 +249,8 @@ function shallowModeWarnings(opts) {
 
 function validateLogOnResume(opts) {
   const logFileExists = opts && opts.log && fs.existsSync(opts.log);
-  if (!opts || opts.mode === 'shallow') {
+  if (!opts) {
     // No opts specified, defaults will be populated.
-    // In shallow mode log/resume are irrelevant and we'll have warned already.
     return true;
   } else if (opts.resume) {
     // Expecting to resume
@@ -212,12 +297,81 @@ async function validateArgs(url, opts, isBackup = true) {
   validateOptions(opts);
   attachmentWarnings(opts);
   if (isBackup) {
-    shallowModeWarnings(opts);
+    validateModeOptions(opts);
     validateLogOnResume(opts);
   }
   return true;
 }
 
+/**
+ * Validate arguments for backing up or restoring multiple databases.
+ *
+ * @param {string} url - URL of server.
+ * @param {string} dir - Directory of the backup files.
+ * @param {object} opts - Options.
+ * @param {boolean} backup - true for backup, false for restore
+ * @returns {Promise<boolean>} `true` if all checks are passing, otherwise rejected.
+ */
+async function validateDatabasesArgs(url, dir, opts, isBackup = true) {
+  const isIAM = opts && typeof opts.iamApiKey === 'string';
+  if (typeof url !== 'string') {
+    throw new OptionError('Invalid URL, must be type string');
+  }
+  // The server URL has no database so check the URL of the server's database list
+  validateURL(cliutils.databaseUrl(url, '_all_dbs'), isIAM);
+  const dirDescription = isBackup ? 'output' : 'input';
+  if (typeof dir !== 'string' || dir === '') {
+    throw new OptionError(`Invalid ${dirDescription} directory, must be a non-empty string`);
+  }
+  validateOptions(opts);
+  attachmentWarnings(opts);
+  if (!isBackup) {
+    if (!fs.existsSync(dir)) {
+      throw new OptionError(`Invalid ${dirDescription} directory, ${dir} does not exist`);
+    }
+    return true;
+  }
+  validateModeOptions(opts);
+  if (!opts || (!opts.allDbs && typeof opts.dbPattern === 'undefined')) {
+    throw new OptionError('Invalid database selection, one of the allDbs or dbPattern options is required');
+  }
+  if (typeof opts.log !== 'undefined') {
+    throw new OptionError('Invalid log option, a log file for each database is written to the output directory');
+  }
+  if (typeof opts.since !== 'undefined') {
+    throw new OptionError('Invalid since option, it cannot be used when backing up multiple databases');
+  }
+  if (opts.mode === 'continuous') {
+    throw new OptionError('Invalid mode option, "continuous" mode cannot be used when backing up multiple databases');
+  }
+  if (typeof opts.maxVolumeSize !== 'undefined') {
+    throw new OptionError('Invalid maxVolumeSize option, it cannot be used when backing up multiple databases');
+  }
+  return true;
+}
+
+/**
+ * Resolve the since option to an update sequence. The option is either
+ * an update sequence or the name of a previous backup file, in which case
+ * the last sequence recorded in the file's metadata, or for a continuous
+ * mode backup file in its trailer, is used.
+ *
+ * @param {string} since - since option
+ * @param {object} opts - backup options with the key of an encrypted backup file
+ * @returns {Promise<string>} the update sequence to back up changes since
+ */
+async function resolveSince(since, opts) {
+  if (typeof since === 'undefined' || !fs.existsSync(since)) {
+    return since;
+  }
+  const lastSeq = await readBackupFileLastSeq(since, opts);
+  if (typeof lastSeq !== 'string') {
+    throw new OptionError(`Invalid since option, the backup file ${since} does not record a last sequence`);
+  }
+  debug(`Backing up changes since ${lastSeq} from the backup file ${since}.`);
+  return lastSeq;
+}
+
 /**
  * Check the backup database exists and that the credentials used have
  * visibility. Throw a fatal error if there is a problem with the DB.
@@ -292,15 +446,32 @@ module.exports = {
    * Backup a Cloudant database to a stream.
    *
    * @param {string} srcUrl - URL of database to backup.
-   * @param {stream.Writable} targetStream - Stream to write content to.
+   * @param {stream.Writable} targetStream - Stream to write content to, or null when writing volume files with the `maxVolumeSize` option.
    * @param {object} opts - Backup options.
-   * @param {number} [opts.parallelism=5] - Number of parallel HTTP requests to use.
+   * @param {number} [opts.parallelism=5] - Number of parallel HTTP requests to use, in `shallow` mode the number of document ID ranges to back up in parallel (default 1).
    * @param {number} [opts.bufferSize=500] - Number of documents per batch request.
    * @param {number} [opts.requestTimeout=120000] - Milliseconds to wait before retrying a HTTP request.
    * @param {string} [opts.iamApiKey] - IAM API key to use to access Cloudant database.
    * @param {string} [opts.log] - Log file name. Default uses a temporary file.
    * @param {boolean} [opts.resume] - Whether to resume from existing log.
-   * @param {string} [opts.mode=full] - Use `full` or `shallow` mode.
+   * @param {string} [opts.mode=full] - Use `full`, `shallow` or `continuous` mode.
+   * @param {object} [opts.selector] - Mango selector to filter the documents in a `full` or `continuous` mode backup.
+   * @param {string} [opts.startKey] - Document ID to start a `shallow` mode backup from.
+   * @param {string} [opts.endKey] - Document ID to end a `shallow` mode backup at (inclusive).
+   * @param {string} [opts.idPrefix] - Document ID prefix to limit a `shallow` mode backup to.
+   * @param {boolean} [opts.revs] - Back up the revision history of the current revision of each document in a `shallow` mode backup.
+   * @param {string} [opts.partition] - Partition key to limit the backup of a partitioned database to.
+   * @param {string} [opts.since] - Update sequence, or previous backup file, to back up the `full` or `continuous` mode changes since.
+   * @param {AbortSignal} [opts.signal] - Signal to stop following the changes in `continuous` mode.
+   * @param {boolean} [opts.localDocs] - Whether to include the `_local` documents.
+   * @param {number} [opts.revsLimit] - Number of the most recent revision IDs to keep in the revision history of each document.
+   * @param {string} [opts.compress] - Compress the backup with `gzip`, `brotli` or `zstd`. A `brotli` backup can only be read by restore.
+   * @param {boolean} [opts.encrypt] - Encrypt the backup with the `encryptionKeyFile` or `encryptionPassphrase`.
+   * @param {string} [opts.encryptionKeyFile] - File containing a 256-bit key to encrypt the backup with.
+   * @param {string} [opts.encryptionPassphrase] - Passphrase to derive the key to encrypt the backup with.
+   * @param {string} [opts.format=json] - Format of the backup file, "json" for a JSON array of documents on each line , "ndjson" for a document on each line or "tar" for a tar archive with a file for each document and attachment.
+   * @param {number} [opts.maxVolumeSize] - Maximum size in bytes of the volume files to write the backup to instead of the `targetStream`.
+   * @param {string} [opts.output] - File name of the volumes, which are numbered `.0001`, `.0002` and so on.
    * @param {backupRestoreCallback} callback - Called on completion.
    */
   backup: function(srcUrl, targetStream, opts, callback) {
@@ -313,36 +484,21 @@ module.exports = {
 
     validateArgs(srcUrl, opts)
       // Set up the DB client
-      .then(() => {
-        opts = Object.assign({}, defaults(), opts);
+      .then(async () => {
+        // Shallow backups page a single range of document IDs unless a parallelism is chosen
+        opts = Object.assign({}, defaults(), opts && opts.mode === 'shallow' ? { parallelism: 1 } : {}, opts);
+        opts.since = await resolveSince(opts.since, opts);
         return newClient(srcUrl, opts);
       })
       // Validate the DB exists, before proceeding to backup
       .then(backupDbClient => validateBackupDb(backupDbClient))
-      .then(backupDbClient => {
-        // Write either a file header or a resume marker.
-        let metadataToWrite;
-        if (opts.mode === 'full' && opts.resume) {
-          // resume is valid in full mode only
-          // Write the resume marker and a newline as it's possible one would be missing from
-          // an interruption of the previous backup. If the backup was clean this
-          // will cause an empty line that will be gracefully handled by the restore.
-          debug('Will write resume marker.');
-          metadataToWrite = `${RESUME_COMMENT}\n`;
-        } else {
-          // Write a file header including the name, version and mode
-          debug('Will write backup file header.');
-          metadataToWrite = `${JSON.stringify({ name: pkg.name, version: pkg.version, mode: opts.mode, attachments: opts.attachments })}\n`;
+      .then((backupDbClient) => {
+        if (opts.maxVolumeSize) {
+          // Write to volume files instead of the target stream
+          targetStream = new VolumeWritable(opts.output, opts.maxVolumeSize, opts.resume);
         }
-        return new Promise((resolve, reject) => {
-          targetStream.write(metadataToWrite, 'utf-8', (err) => {
-            if (err) { reject(err); } else { resolve(backupDbClient); }
-          });
-        });
+        return backup(backupDbClient, opts, targetStream, ee);
       })
-      .then((backupDbClient) =>
-        backup(backupDbClient, opts, targetStream, ee)
-      )
       .then((total) => {
         debug(`Finished backup with total doc count of ${total}`);
         ee.emit('finished', total);
@@ -353,6 +509,69 @@ module.exports = {
     return ee;
   },
 
+  /**
+   * Backup the databases of a Cloudant server to a directory, with a backup
+   * file and a log file named after each database. A failure to back up one
+   * database does not stop the backup of the others.
+   *
+   * @param {string} srcUrl - URL of server to backup.
+   * @param {string} outputDir - Directory to write the backup files to, created if it does not exist.
+   * @param {object} opts - Backup options, as for `backup` except `log`, `since` and `signal`.
+   * @param {boolean} [opts.allDbs] - Backup all the databases except the system databases.
+   * @param {string} [opts.dbPattern] - Backup the databases with names matching the pattern, `*` matches any characters and `?` matches one character.
+   * @param {number} [opts.dbParallelism=2] - Number of databases to backup in parallel.
+   * @param {backupRestoreCallback} callback - Called on completion with the result of each database.
+   */
+  backupDatabases: function(srcUrl, outputDir, opts, callback) {
+    const ee = new events.EventEmitter();
+
+    validateDatabasesArgs(srcUrl, outputDir, opts)
+      .then(async () => {
+        opts = Object.assign({}, defaults(), { dbParallelism: 2 }, opts && opts.mode === 'shallow' ? { parallelism: 1 } : {}, opts);
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const serverClient = newClient(cliutils.databaseUrl(srcUrl, ''), opts);
+        const dbNames = await listDatabases(serverClient, opts);
+        return forEachDatabase(dbNames, opts.dbParallelism, (dbName) => {
+          const dbOpts = Object.assign({}, opts);
+          delete dbOpts.allDbs;
+          delete dbOpts.dbPattern;
+          delete dbOpts.dbParallelism;
+          dbOpts.log = join(outputDir, databaseFileName(dbName, LOG_FILE_EXTENSION));
+          // A database without a log was not started by the backup being resumed
+          dbOpts.resume = opts.resume && fs.existsSync(dbOpts.log);
+          const backupFile = join(outputDir, databaseFileName(dbName));
+          // Check before opening the backup file so an earlier backup is not truncated
+          if (!dbOpts.resume && fs.existsSync(backupFile)) {
+            return Promise.reject(new BackupError('BackupFileExists', `The backup file ${backupFile} exists. ` +
+              'Use the resume option if you want to resume a backup from an existing log file.'));
+          }
+          const targetStream = fs.createWriteStream(backupFile, { flags: dbOpts.resume ? 'a' : 'wx' });
+          return new Promise((resolve, reject) => {
+            module.exports.backup(cliutils.databaseUrl(srcUrl, dbName), targetStream, dbOpts, (err, data) => {
+              if (err) {
+                targetStream.destroy();
+                reject(err);
+              } else {
+                resolve(data);
+              }
+            }).on('attachmentSkipped', (skipped) => ee.emit('attachmentSkipped', { db: dbName, ...skipped }))
+              .on('attachmentUnverified', (unverified) => ee.emit('attachmentUnverified', { db: dbName, ...unverified }));
+          });
+        }, (result) => ee.emit('database', result));
+      })
+      .then((results) => {
+        ee.emit('finished', results);
+        const failed = results.filter((result) => result.error);
+        if (failed.length > 0) {
+          throw new BackupError('DatabasesFailed', `Failed to back up ${failed.length} of ${results.length} databases: ${failed.map((result) => result.name).join(', ')}`);
+        }
+        callback(null, results);
+      })
+      .catch(e => callback(convertError(e)));
+
+    return ee;
+  },
+
   /**
    * Restore a backup from a stream.
    *
@@ -363,6 +582,15 @@ module.exports = {
    * @param {number} opts.bufferSize - Number of documents per batch request. Default 500.
    * @param {number} opts.requestTimeout - Milliseconds to wait before retrying a HTTP request. Default 120000.
    * @param {string} opts.iamApiKey - IAM API key to use to access Cloudant database.
+   * @param {string} [opts.untilSeq] - Stop restoring a chain of backup files after the file ending at this sequence.
+   * @param {string} [opts.until] - Stop restoring a chain of backup files before the first file taken after this date and time.
+   * @param {boolean} [opts.restoreSecurity] - Apply the database security and revision limit recorded in the backup file after restoring the documents.
+   * @param {boolean} [opts.create] - Create the target database if it does not exist, with the properties recorded in the backup file.
+   * @param {boolean} [opts.winnersOnly] - Restore only the winning revision of each document with conflicting revisions.
+   * @param {boolean} [opts.allowUnverified] - Warn instead of failing for a backup file without a trailer or with a trailer that does not match the backup file, or for an encrypted backup file without its final frame.
+   * @param {number} [opts.revsLimit] - Number of the most recent revision IDs to keep in the revision history of each document.
+   * @param {string} [opts.encryptionKeyFile] - File containing the 256-bit key to decrypt an encrypted backup with.
+   * @param {string} [opts.encryptionPassphrase] - Passphrase to decrypt an encrypted backup with.
    * @param {backupRestoreCallback} callback - Called on completion.
    */
   restore: function(srcStream, targetUrl, opts, callback) {
@@ -380,7 +608,15 @@ module.exports = {
         return newClient(targetUrl, opts);
       })
       // Validate the DB exists, before proceeding to restore
-      .then((restoreDbClient) => validateRestoreDb(restoreDbClient))
+      .then((restoreDbClient) => validateRestoreDb(restoreDbClient).catch((err) => {
+        if (opts.create && err.name === 'DatabaseNotFound') {
+          // Create the database when the backup file metadata has been read
+          debug(`Database ${restoreDbClient.dbName} will be created.`);
+          opts.createDatabase = true;
+          return restoreDbClient;
+        }
+        throw err;
+      }))
       .then((restoreDbClient) => {
         return restoreInternal(
           restoreDbClient,
@@ -394,6 +630,59 @@ module.exports = {
       })
       .catch(e => callback(convertError(e)));
     return ee;
+  },
+
+  /**
+   * Restore the backup files in a directory, as written by `backupDatabases`,
+   * to databases named after the files. Missing databases are created. A failure
+   * to restore one database does not stop the restore of the others.
+   *
+   * @param {string} targetUrl - URL of server to restore to.
+   * @param {string} inputDir - Directory containing the backup files.
+   * @param {object} opts - Restore options, as for `restore`.
+   * @param {string} [opts.dbPrefix] - Prefix for the names of the restored databases.
+   * @param {object} [opts.dbNameMap] - Map of backed up database names to restored database names, overrides the prefix.
+   * @param {number} [opts.dbParallelism=2] - Number of databases to restore in parallel.
+   * @param {backupRestoreCallback} callback - Called on completion with the result of each database.
+   */
+  restoreDatabases: function(targetUrl, inputDir, opts, callback) {
+    const ee = new events.EventEmitter();
+
+    validateDatabasesArgs(targetUrl, inputDir, opts, false)
+      .then(async () => {
+        opts = Object.assign({}, defaults(), { dbParallelism: 2 }, opts);
+        const backupFiles = await listBackupFiles(inputDir, opts);
+        return forEachDatabase([...backupFiles.keys()], opts.dbParallelism, async (dbName) => {
+          // Missing databases are created with the properties recorded in the backup file
+          const dbOpts = Object.assign({}, opts, { create: true });
+          delete dbOpts.dbPrefix;
+          delete dbOpts.dbNameMap;
+          delete dbOpts.dbParallelism;
+          const srcStream = fs.createReadStream(backupFiles.get(dbName));
+          const data = await new Promise((resolve, reject) => {
+            module.exports.restore(srcStream, cliutils.databaseUrl(targetUrl, dbName), dbOpts, (err, data) => {
+              if (err) {
+                srcStream.destroy();
+                reject(err);
+              } else {
+                resolve(data);
+              }
+            }).on('attachmentUnverified', (unverified) => ee.emit('attachmentUnverified', { db: dbName, ...unverified }));
+          });
+          return { file: backupFiles.get(dbName), ...data };
+        }, (result) => ee.emit('database', result));
+      })
+      .then((results) => {
+        ee.emit('finished', results);
+        const failed = results.filter((result) => result.error);
+        if (failed.length > 0) {
+          throw new BackupError('DatabasesFailed', `Failed to restore ${failed.length} of ${results.length} databases: ${failed.map((result) => result.name).join(', ')}`);
+        }
+        callback(null, results);
+      })
+      .catch(e => callback(convertError(e)));
+
+    return ee;
   }
 };
 
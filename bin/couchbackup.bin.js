@@ -1,5 +1,5 @@
 #!/usr/bin/env node
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -26,7 +26,6 @@ backupDebug.enabled = true;
 
 try {
   const program = parser.parseBackupArgs();
-  const databaseUrl = cliutils.databaseUrl(program.url, program.db);
 
   const opts = {
     bufferSize: program.bufferSize,
@@ -37,21 +36,59 @@ try {
     resume: program.resume,
     iamApiKey: program.iamApiKey,
     iamTokenUrl: program.iamTokenUrl,
-    attachments: program.attachments
+    attachments: program.attachments,
+    attachmentsDir: program.attachmentsDir,
+    verifyAttachments: program.verifyAttachments,
+    maxAttachmentSize: program.maxAttachmentSize,
+    attachmentContentTypes: program.attachmentContentTypes,
+    compress: program.compress,
+    format: program.format,
+    encrypt: program.encrypt,
+    encryptionKeyFile: program.encryptionKeyFile,
+    encryptionPassphrase: program.encryptionPassphrase,
+    maxVolumeSize: program.maxVolumeSize,
+    selector: program.selector,
+    startKey: program.startKey,
+    endKey: program.endKey,
+    idPrefix: program.idPrefix,
+    partition: program.partition,
+    since: program.since,
+    localDocs: program.localDocs,
+    revsLimit: program.revsLimit,
+    revs: program.revs
   };
 
-  // log configuration to console
+  if (program.allDbs || typeof program.dbPattern !== 'undefined') {
+    backupDatabases(program, opts);
+  } else {
+    backupDatabase(program, opts);
+  }
+} catch (err) {
+  error.terminationCallback(err);
+}
+
+function logConfiguration(url, opts) {
   console.error('='.repeat(80));
-  console.error('Performing backup on ' + databaseUrl.replace(/\/\/.+@/g, '//****:****@') + ' using configuration:');
-  console.error(JSON.stringify(opts, null, 2).replace(/"iamApiKey": "[^"]+"/, '"iamApiKey": "****"'));
+  console.error('Performing backup on ' + url.replace(/\/\/.+@/g, '//****:****@') + ' using configuration:');
+  console.error(JSON.stringify(opts, null, 2).replace(/"iamApiKey": "[^"]+"/, '"iamApiKey": "****"')
+    .replace(/"encryptionPassphrase": "[^"]+"/, '"encryptionPassphrase": "****"'));
   console.error('='.repeat(80));
+}
+
+function backupDatabase(program, opts) {
+  const databaseUrl = cliutils.databaseUrl(program.url, program.db);
+  logConfiguration(databaseUrl, opts);
 
   backupBatchDebug.enabled = !program.quiet;
 
   let ws = process.stdout;
 
-  // open output file
-  if (program.output) {
+  if (typeof program.maxVolumeSize !== 'undefined') {
+    // the backup is written to volume files named after the output file
+    opts.output = program.output;
+    ws = null;
+  } else if (program.output) {
+    // open output file
     let flags = 'w';
     if (program.log && program.resume) {
       flags = 'a';
@@ -60,6 +97,18 @@ try {
     ws = fs.createWriteStream(null, { fd });
   }
 
+  if (opts.mode === 'continuous') {
+    // Follow the changes until interrupted, then finish writing the pending batches
+    const controller = new AbortController();
+    const stop = () => {
+      backupDebug('Stopping continuous backup after the pending batches...');
+      controller.abort();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    opts.signal = controller.signal;
+  }
+
   backupDebug('Fetching all database changes...');
 
   couchbackup.backup(
@@ -71,9 +120,46 @@ try {
     backupBatchDebug('Total batches received:', batch + 1);
   }).on('written', function(obj) {
     backupBatchDebug('Written batch ID:', obj.batch, 'Total document revisions written:', obj.total, 'Time:', obj.time);
+  }).on('attachmentSkipped', function(skipped) {
+    backupDebug('Skipped attachment:', skipped.attachment, 'of document:', skipped.id, 'Reason:', skipped.reason);
+  }).on('attachmentUnverified', function(unverified) {
+    backupDebug('Unverified attachment:', unverified.attachment, 'of document:', unverified.id, 'Reason:', unverified.reason);
   }).on('finished', function(obj) {
     backupDebug('Finished - Total document revisions written:', obj.total);
   });
-} catch (err) {
-  error.terminationCallback(err);
+}
+
+function backupDatabases(program, opts) {
+  delete opts.log;
+  opts.allDbs = program.allDbs;
+  opts.dbPattern = program.dbPattern;
+  opts.dbParallelism = program.dbParallelism;
+  logConfiguration(program.url, opts);
+
+  backupBatchDebug.enabled = !program.quiet;
+
+  backupDebug('Fetching the list of databases...');
+
+  couchbackup.backupDatabases(
+    program.url,
+    program.outputDir,
+    opts,
+    error.terminationCallback
+  ).on('database', function(result) {
+    if (result.error) {
+      backupDebug('Failed database:', result.name, 'Error:', result.error.message);
+    } else {
+      backupBatchDebug('Finished database:', result.name, 'Total document revisions written:', result.total);
+    }
+  }).on('attachmentSkipped', function(skipped) {
+    backupDebug('Skipped attachment:', skipped.attachment, 'of document:', skipped.id, 'in database:', skipped.db, 'Reason:', skipped.reason);
+  }).on('attachmentUnverified', function(unverified) {
+    backupDebug('Unverified attachment:', unverified.attachment, 'of document:', unverified.id, 'in database:', unverified.db, 'Reason:', unverified.reason);
+  }).on('finished', function(results) {
+    if (results.length === 0) {
+      console.warn('WARNING: no databases matched the database selection options.');
+    }
+    const failed = results.filter((result) => result.error).length;
+    backupDebug('Finished - Databases backed up:', results.length - failed, 'Databases failed:', failed);
+  });
 }
@@ -1,5 +1,5 @@
 #!/usr/bin/env node
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -13,6 +13,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { backupChainStream } = require('../includes/backupfiles.js');
 const error = require('../includes/error.js');
 const cliutils = require('../includes/cliutils.js');
 const couchbackup = require('../app.js');
@@ -25,34 +26,103 @@ restoreDebug.enabled = true;
 
 try {
   const program = parser.parseRestoreArgs();
-  const databaseUrl = cliutils.databaseUrl(program.url, program.db);
   const opts = {
     bufferSize: program.bufferSize,
     parallelism: program.parallelism,
     requestTimeout: program.requestTimeout,
     iamApiKey: program.iamApiKey,
     iamTokenUrl: program.iamTokenUrl,
-    attachments: program.attachments
+    attachments: program.attachments,
+    attachmentsDir: program.attachmentsDir,
+    verifyAttachments: program.verifyAttachments,
+    encryptionKeyFile: program.encryptionKeyFile,
+    encryptionPassphrase: program.encryptionPassphrase,
+    untilSeq: program.untilSeq,
+    until: program.until,
+    restoreSecurity: program.restoreSecurity,
+    create: program.create,
+    winnersOnly: program.winnersOnly,
+    allowUnverified: program.allowUnverified,
+    revsLimit: program.revsLimit
   };
 
-  // log configuration to console
+  if (typeof program.fromDir !== 'undefined') {
+    restoreDatabases(program, opts);
+  } else {
+    restoreDatabase(program, opts);
+  }
+} catch (err) {
+  error.terminationCallback(err);
+}
+
+function logConfiguration(url, opts) {
   console.error('='.repeat(80));
-  console.error('Performing restore on ' + databaseUrl.replace(/\/\/.+@/g, '//****:****@') + ' using configuration:');
-  console.error(JSON.stringify(opts, null, 2).replace(/"iamApiKey": "[^"]+"/, '"iamApiKey": "****"'));
+  console.error('Performing restore on ' + url.replace(/\/\/.+@/g, '//****:****@') + ' using configuration:');
+  console.error(JSON.stringify(opts, null, 2).replace(/"iamApiKey": "[^"]+"/, '"iamApiKey": "****"')
+    .replace(/"encryptionPassphrase": "[^"]+"/, '"encryptionPassphrase": "****"'));
   console.error('='.repeat(80));
+}
+
+function restoreDatabase(program, opts) {
+  const databaseUrl = cliutils.databaseUrl(program.url, program.db);
+  logConfiguration(databaseUrl, opts);
 
   restoreBatchDebug.enabled = !program.quiet;
 
   couchbackup.restore(
-    process.stdin, // restore from stdin
+    program.files ? backupChainStream(program.files, opts) : process.stdin, // restore from the backup files or stdin
     databaseUrl,
     opts,
     error.terminationCallback
-  ).on('restored', function(obj) {
+  ).on('metadata', function(metadata) {
+    if (metadata.since) {
+      restoreDebug('Backup contains changes since:', metadata.since, 'up to:', metadata.lastSeq);
+    }
+    if (metadata.idPrefix) {
+      restoreDebug('Backup contains documents with ID prefix:', metadata.idPrefix);
+    } else if (metadata.startKey || metadata.endKey) {
+      restoreDebug('Backup contains documents with IDs from:', metadata.startKey || '(first)', 'to:', metadata.endKey || '(last)');
+    }
+  }).on('restored', function(obj) {
     restoreBatchDebug('Restored batch ID:', obj.batch, 'Total document revisions restored:', obj.total, 'Time:', obj.time);
+  }).on('attachmentUnverified', function(unverified) {
+    restoreDebug('Unverified attachment:', unverified.attachment, 'of document:', unverified.id, 'Reason:', unverified.reason);
   }).on('finished', function(obj) {
     restoreDebug('finished', obj);
   });
-} catch (err) {
-  error.terminationCallback(err);
+}
+
+function restoreDatabases(program, opts) {
+  opts.dbPrefix = program.dbPrefix;
+  opts.dbNameMap = program.dbMap;
+  opts.dbParallelism = program.dbParallelism;
+  logConfiguration(program.url, opts);
+
+  restoreBatchDebug.enabled = !program.quiet;
+
+  restoreDebug('Restoring the backup files in', program.fromDir);
+
+  couchbackup.restoreDatabases(
+    program.url,
+    program.fromDir,
+    opts,
+    error.terminationCallback
+  ).on('database', function(result) {
+    if (result.error) {
+      restoreDebug('Failed database:', result.name, 'Error:', result.error.message);
+    } else {
+      restoreBatchDebug('Restored database:', result.name, 'from:', result.file, 'Total document revisions restored:', result.total);
+    }
+  }).on('attachmentUnverified', function(unverified) {
+    restoreDebug('Unverified attachment:', unverified.attachment, 'of document:', unverified.id, 'in database:', unverified.db, 'Reason:', unverified.reason);
+  }).on('finished', function(results) {
+    if (results.length === 0) {
+      console.warn(`WARNING: no backup files were found in the directory ${program.fromDir}.`);
+    }
+    const failed = results.filter((result) => result.error);
+    for (const result of results) {
+      restoreDebug(`${result.name}: ${result.error ? `failed - ${result.error.message}` : `restored ${result.total} document revisions`}`);
+    }
+    restoreDebug('Finished - Databases restored:', results.length - failed.length, 'Databases failed:', failed.length);
+  });
 }
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2024 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,27 +12,180 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { appendFile } = require('node:fs/promises');
 const debug = require('debug')('couchbackup:alldocsgenerator');
+const { filtersAttachments } = require('./attachmentMappings.js');
+const { rangeToLogFileLine } = require('./backupMappings.js');
 const { BackupError } = require('./error.js');
 
 /**
- * Async generator function for paginating _all_docs for shallow backups.
+ * Make an _all_docs request, using the partition's _all_docs if a partition
+ * is specified.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} opts - the SDK _all_docs request options
+ * @returns {Promise<object>} the _all_docs response
+ */
+function allDocs(dbClient, opts) {
+  return opts.partitionKey ? dbClient.service.postPartitionAllDocs(opts) : dbClient.service.postAllDocs(opts);
+}
+
+/**
+ * Make an _all_docs request for sampling the document IDs. The SDK result
+ * does not include the row offset so the request is made directly.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {string} [partitionKey] - the partition to sample
+ * @param {object} body - the _all_docs request body
+ * @returns {Promise<object>} the _all_docs response
+ */
+function sampleRequest(dbClient, partitionKey, body) {
+  return dbClient.service.createRequest({
+    options: {
+      url: partitionKey ? '/{db}/_partition/{partition_key}/_all_docs' : '/{db}/_all_docs',
+      method: 'POST',
+      path: { db: dbClient.dbName, partition_key: partitionKey },
+      body
+    },
+    defaultOptions: {
+      ...dbClient.service.baseOptions,
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' }
+    }
+  });
+}
+
+// The most _all_docs requests made to find each split key
+const MAX_SPLIT_KEY_SAMPLES = 64;
+
+/**
+ * Make a key that sorts between two keys, treating the keys as numbers with a
+ * digit for each character from the lowest to the highest character of the
+ * range of keys.
+ *
+ * @param {string} low - the lower key
+ * @param {string} high - the higher key
+ * @param {object} chars - the {min: codepoint, max: codepoint} of the characters of the range of keys
+ * @returns {string} the middle key
+ */
+function middleKey(low, high, chars) {
+  const base = chars.max - chars.min + 1;
+  // One more digit than the longest key so there is a key between adjacent keys
+  const length = Math.max(low.length, high.length) + 1;
+  const digits = (key) => {
+    const keyDigits = Array.from(key, (c) => Math.min(Math.max(c.codePointAt(0) - chars.min, 0), base - 1));
+    return keyDigits.concat(new Array(length - keyDigits.length).fill(0));
+  };
+  const lowDigits = digits(low);
+  const highDigits = digits(high);
+  // Add the keys, then halve the sum from the most significant digit
+  const sum = new Array(length);
+  let carry = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    const digit = lowDigits[i] + highDigits[i] + carry;
+    sum[i] = digit % base;
+    carry = Math.floor(digit / base);
+  }
+  let remainder = carry;
+  const middle = sum.map((digit) => {
+    const value = remainder * base + digit;
+    remainder = value % 2;
+    return Math.floor(value / 2);
+  });
+  return String.fromCodePoint(...middle.map((digit) => {
+    const codePoint = digit + chars.min;
+    // Surrogate code points are not characters
+    return codePoint >= 0xd800 && codePoint <= 0xdfff ? 0xe000 : codePoint;
+  }));
+}
+
+/**
+ * Sample the document IDs of a range to split it into ranges of about the
+ * same number of documents. The number of documents is calculated from the
+ * _all_docs row offsets of the first and last IDs of the range, and each split
+ * key is found by bisecting the keys between them with start_key requests
+ * until the row offset is close to a multiple of the range size divided by
+ * the number of ranges. Unlike skipping rows, each request is quick however
+ * large the database is.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} opts - the SDK _all_docs request options for the whole range
+ * @param {number} count - the number of ranges to split into
+ * @returns {Promise<array>} the split document IDs in order, empty if the range cannot be split
+ */
+async function sampleSplitKeys(dbClient, opts, count) {
+  const sample = async (body) => (await sampleRequest(dbClient, opts.partitionKey, body)).result;
+  // The first ID of the range and the number of rows before it
+  const first = await sample(opts.startKey ? { start_key: opts.startKey, limit: 1 } : { limit: 1 });
+  if (typeof first.offset !== 'number') {
+    debug('The _all_docs response has no row offsets, the range will not be split.');
+    return [];
+  }
+  // The last ID of the range and the number of rows after it
+  const last = await sample(opts.endKey ? { start_key: opts.endKey, descending: true, limit: 1 } : { descending: true, limit: 1 });
+  const firstId = first.rows && first.rows.length > 0 ? first.rows[0].id : undefined;
+  const lastId = last.rows && last.rows.length > 0 ? last.rows[0].id : undefined;
+  if (typeof last.offset !== 'number' || !firstId || !lastId || firstId >= lastId) {
+    debug('The range has fewer than two documents, the range will not be split.');
+    return [];
+  }
+  const startOffset = first.offset;
+  const size = last.total_rows - last.offset - startOffset;
+  // Close enough to the even split for ranges of about the same size
+  const tolerance = Math.floor(size / count / 20);
+  const codePoints = Array.from(firstId + lastId, (c) => c.codePointAt(0));
+  const chars = { min: Math.min(...codePoints), max: Math.max(...codePoints) };
+  debug(`Sampling ${count - 1} split keys of a range of ${size} docs.`);
+  const splitKeys = [];
+  let low = firstId;
+  let lowOffset = startOffset;
+  for (let index = 1; index < count; index++) {
+    const target = startOffset + Math.floor(index * size / count);
+    if (target <= lowOffset) continue;
+    let high = lastId;
+    let best;
+    for (let samples = 0; samples < MAX_SPLIT_KEY_SAMPLES; samples++) {
+      const middle = middleKey(low, high, chars);
+      if (middle <= low || middle >= high) break;
+      // The first row from the middle key and the number of rows before it
+      const { offset, rows = [] } = await sample({ start_key: middle, limit: 1 });
+      if (rows.length > 0 && (!best || Math.abs(offset - target) < Math.abs(best.offset - target))) {
+        best = { id: rows[0].id, offset };
+      }
+      if (Math.abs(offset - target) <= tolerance) break;
+      if (offset < target) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    if (best && best.offset > lowOffset) {
+      splitKeys.push(best.id);
+      low = best.id;
+      lowOffset = best.offset;
+    }
+  }
+  return splitKeys;
+}
+
+/**
+ * Async generator function for paginating a range of _all_docs.
  *
  * @param {object} dbClient - object for connection to source database containing name, service and url
  * @param {object} options - backup configuration
- * @yields {object} a "done" type backup batch {command: d, batch: #, docs: [{_id: id, ...}, ...]}
+ * @param {object} pageOpts - the SDK _all_docs request options for the pages
+ * @param {object} range - the range of document IDs {index: #, startKey: id, endKey: id, inclusiveEnd: bool}
+ * @param {function} nextBatch - returns the next batch number
+ * @yields {object} a backup batch
  */
-module.exports = async function * (dbClient, options = {}) {
-  let batch = 0;
+async function * rangeGenerator(dbClient, options, pageOpts, range, nextBatch) {
   let lastPage = false;
-  let startKey = null;
-  const opts = { db: dbClient.dbName, limit: options.bufferSize, includeDocs: true };
-  if (options.attachments === true) {
-    opts.attachments = true;
-  }
+  let startKey = range.startKey || null;
+  const opts = { ...pageOpts };
+  if (range.endKey) opts.endKey = range.endKey;
+  if (range.inclusiveEnd === false) opts.inclusiveEnd = false;
   do {
     if (startKey) opts.startKey = startKey;
-    yield dbClient.service.postAllDocs(opts).then(response => {
+    yield allDocs(dbClient, opts).then(response => {
       if (!(response.result && response.result.rows)) {
         throw new BackupError('AllDocsError', 'Invalid all docs response');
       }
@@ -49,7 +202,139 @@ module.exports = async function * (dbClient, options = {}) {
         // character.
         startKey = `${lastKey}\0`;
       }
-      return { command: 'd', batch: batch++, docs: docs.map(doc => { return doc.doc; }) };
+      const backupBatch = options.revs
+        ? { command: 't', batch: nextBatch(), docs: docs.map(doc => { return { id: doc.id, rev: doc.value.rev }; }) }
+        : { command: 'd', batch: nextBatch(), docs: docs.map(doc => { return doc.doc; }) };
+      if (options.log) {
+        // Checkpoint the key the range continues from in the log file
+        backupBatch.range = { ...range, startKey, complete: lastPage };
+      }
+      return backupBatch;
     });
   } while (!lastPage);
+}
+
+/**
+ * Async generator function merging the output of generators running
+ * concurrently, in the order their values are produced.
+ *
+ * @param {array} generators - the async generators to merge
+ * @yields {object} the values of all the generators
+ */
+async function * mergeGenerators(generators) {
+  const pending = new Map();
+  const next = (generator) => {
+    const result = generator.next().then(result => { return { generator, result }; });
+    // Rejections are handled by the race, avoid unhandled rejections from the others
+    result.catch(() => {});
+    pending.set(generator, result);
+  };
+  generators.forEach(next);
+  try {
+    while (pending.size > 0) {
+      const { generator, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(generator);
+      } else {
+        next(generator);
+        yield result.value;
+      }
+    }
+  } finally {
+    // Stop the other generators if one failed or the consumer stopped early
+    await Promise.allSettled(generators.map(generator => generator.return()));
+  }
+}
+
+/**
+ * Choose the ranges of document IDs to paginate.
+ *
+ * The range covers the whole database unless the options limit it to
+ * a range of document IDs with startKey and endKey or with an idPrefix.
+ * If the parallelism option is greater than 1 the range is split into that
+ * many ranges by sampling the document IDs.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} options - backup configuration
+ * @param {object} pageOpts - the SDK _all_docs request options for the pages
+ * @returns {Promise<array>} the ranges [{index: #, startKey: id, endKey: id, inclusiveEnd: bool}, ...]
+ */
+async function documentIdRanges(dbClient, options, pageOpts) {
+  const range = {};
+  if (options.startKey) {
+    range.startKey = options.startKey;
+  }
+  if (options.idPrefix) {
+    // Limit the range to IDs beginning with the prefix by using an end key of
+    // the prefix followed by a high unicode sort character.
+    range.startKey = options.idPrefix;
+    range.endKey = `${options.idPrefix}\ufff0`;
+  } else if (options.endKey) {
+    range.endKey = options.endKey;
+  }
+  const splitKeys = options.parallelism > 1 ? await sampleSplitKeys(dbClient, { ...pageOpts, ...range }, options.parallelism) : [];
+  if (splitKeys.length === 0) {
+    return [{ index: 0, ...range }];
+  }
+  // Each range ends before the start of the next range, the last range ends at the end of the whole range
+  const ranges = [{ index: 0, ...range, endKey: splitKeys[0], inclusiveEnd: false }];
+  splitKeys.forEach((startKey, index) => {
+    ranges.push(index + 1 < splitKeys.length
+      ? { index: index + 1, startKey, endKey: splitKeys[index + 1], inclusiveEnd: false }
+      : { ...range, index: index + 1, startKey });
+  });
+  return ranges;
+}
+
+/**
+ * Async generator function for paginating _all_docs for shallow backups.
+ *
+ * The pagination covers the ranges of document IDs chosen from the options.
+ * If a partition is specified the partition's _all_docs is paginated instead.
+ * Multiple ranges are paginated concurrently and the batches are numbered in
+ * the order they are received.
+ *
+ * If the backup has a log file the ranges are recorded in the log file and
+ * each batch has the range state to checkpoint, so that a resumed backup
+ * can continue the ranges that were not complete.
+ *
+ * If the revs option is set the documents are not included in the pages,
+ * instead the batches list the current revision of each document so that
+ * the revision can be fetched with its revision history from _bulk_get.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} options - backup configuration
+ * @param {object} [resumeState] - the ranges and the first batch number to resume from {ranges: Map, firstBatch: #}
+ * @yields {object} a "done" type backup batch {command: d, batch: #, docs: [{_id: id, ...}, ...]}
+ * or with the revs option a "to do" type backup batch {command: t, batch: #, docs: [{id: id, rev: rev}, ...]}
+ */
+module.exports = async function * (dbClient, options = {}, resumeState) {
+  let batch = resumeState ? resumeState.firstBatch : 0;
+  const nextBatch = () => batch++;
+  const pageOpts = { db: dbClient.dbName, limit: options.bufferSize, includeDocs: !options.revs };
+  if (options.attachments === true && !options.revs && !filtersAttachments(options)) {
+    pageOpts.attachments = true;
+  }
+  if (options.attachments === true && !options.revs && options.verifyAttachments) {
+    // Include the encoding of compressed attachments, which have a digest of the compressed data
+    pageOpts.attEncodingInfo = true;
+  }
+  if (options.partition) {
+    pageOpts.partitionKey = options.partition;
+  }
+  let ranges;
+  if (resumeState && resumeState.ranges.size > 0) {
+    // Continue the ranges that were not complete from their last checkpoints
+    ranges = [...resumeState.ranges]
+      .map(([index, rangeState]) => { return { index, ...rangeState }; })
+      .filter(range => !range.complete);
+  } else {
+    ranges = await documentIdRanges(dbClient, options, pageOpts);
+    if (options.log) {
+      // Record the ranges so that a resumed backup continues the same ranges
+      await appendFile(options.log, ranges.map(rangeToLogFileLine).join(''));
+    }
+  }
+  debug(`Paginating ${ranges.length} ranges.`);
+  yield * mergeGenerators(ranges.map(range => rangeGenerator(dbClient, options, pageOpts, range, nextBatch)));
 };
@@ -1,4 +1,4 @@
-// Copyright © 2024 IBM Corp. All rights reserved.
+// Copyright © 2024, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,7 +12,12 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { createHash, randomUUID } = require('node:crypto');
+const { mkdir, readFile, rename, stat, writeFile } = require('node:fs/promises');
+const { join } = require('node:path');
+const { buffer } = require('node:stream/consumers');
 const debug = require('debug');
+const { BackupError } = require('./error.js');
 const mappingDebug = debug('couchbackup:mappings');
 
 /**
@@ -24,6 +29,13 @@ const mappingDebug = debug('couchbackup:mappings');
  * This class provides the mappings between Buffer and Base64 binary data.
  */
 class Attachments {
+  /**
+   * @param {EventEmitter} [ee] - the user facing EventEmitter for the attachmentUnverified events
+   */
+  constructor(ee) {
+    this.ee = ee;
+  }
+
   encode(backupBatch) {
     backupBatch.docs.map(doc => {
       if (doc._attachments) {
@@ -44,6 +56,10 @@ class Attachments {
     restoreBatch.docs.map(doc => {
       if (doc._attachments) {
         Object.entries(doc._attachments).forEach(([k, attachment]) => {
+          if (attachment.stub) {
+            // The data of the attachment is in an attachment file
+            return [k, attachment];
+          }
           mappingDebug(`Preparing attachment ${k} for restore.`);
           // Attachment data is a Base64 string
           // Base64 decode the attachment data into a Buffer
@@ -55,8 +71,236 @@ class Attachments {
     });
     return restoreBatch;
   }
+
+  /**
+   * Mapper for verifying the MD5 digests of the attachment data of a batch.
+   * Attachments stored with an encoding are reported with an
+   * attachmentUnverified event, since their digest is of the encoded data.
+   *
+   * @param {object} batch a backup or restore batch with attachment data Buffers
+   * @returns {object} the batch
+   * @throws {BackupError} if an attachment does not match its digest
+   */
+  verify = (batch) => {
+    batch.docs.forEach(doc => {
+      if (doc._attachments) {
+        Object.entries(doc._attachments).forEach(([k, attachment]) => {
+          if (!Buffer.isBuffer(attachment.data) || !attachment.digest || !attachment.digest.startsWith('md5-')) {
+            // Only the MD5 digest of attachment data can be verified
+            return;
+          }
+          if (attachment.encoding) {
+            // The digest of an attachment stored compressed is of the compressed data
+            const reason = `it is stored with ${attachment.encoding} encoding`;
+            mappingDebug(`Cannot verify attachment ${k} of document ${doc._id} because ${reason}.`);
+            if (this.ee) {
+              this.ee.emit('attachmentUnverified', { id: doc._id, rev: doc._rev, attachment: k, reason });
+            }
+            return;
+          }
+          const digest = `md5-${createHash('md5').update(attachment.data).digest('base64')}`;
+          if (digest !== attachment.digest) {
+            throw new BackupError('AttachmentDigestMismatch', `Attachment ${k} of document ${doc._id} revision ${doc._rev} has digest ${digest} instead of ${attachment.digest}.`);
+          }
+          mappingDebug(`Verified attachment ${k} digest ${digest}.`);
+        });
+      }
+    });
+    return batch;
+  };
+}
+
+/**
+ * Get the name of the file for the data of an attachment from its digest.
+ * The base64 of the digest is converted to hex to make a safe file name,
+ * for example md5-1B2M2Y8AsgTpgAmY7PhCfg== is md5-d41d8cd98f00b204e9800998ecf8427e.
+ *
+ * @param {string} digest the attachment digest, for example md5-1B2M2Y8AsgTpgAmY7PhCfg==
+ * @returns {string} the attachment file name
+ */
+function attachmentFileName(digest) {
+  const [algorithm, hash] = digest.split('-', 2);
+  return `${algorithm}-${Buffer.from(hash, 'base64').toString('hex')}`;
+}
+
+async function fileExists(file) {
+  try {
+    await stat(file);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Instead of writing the attachment data inline in the backup file this class
+ * writes the data of each attachment to a file in a directory, named after the
+ * attachment digest, and leaves an attachment stub in the document. Attachments
+ * with the same content are written only once. On restore the stubs are
+ * replaced with the data from the files.
+ */
+class AttachmentFiles {
+  constructor(attachmentsDir) {
+    this.attachmentsDir = attachmentsDir;
+  }
+
+  /**
+   * Write the attachment data of a backup batch to files and replace the
+   * attachments with stubs.
+   *
+   * @param {object} backupBatch a backup batch with attachment data Buffers
+   * @returns {Promise<object>} the backup batch with attachment stubs
+   */
+  write = async (backupBatch) => {
+    await mkdir(this.attachmentsDir, { recursive: true });
+    for (const doc of backupBatch.docs) {
+      if (doc._attachments) {
+        for (const [k, attachment] of Object.entries(doc._attachments)) {
+          const file = join(this.attachmentsDir, attachmentFileName(attachment.digest));
+          if (!await fileExists(file)) {
+            mappingDebug(`Writing attachment ${k} to ${file}.`);
+            // Write to a temporary file first so an interrupted write cannot leave a partial file
+            const tmpFile = `${file}.${randomUUID()}.tmp`;
+            await writeFile(tmpFile, attachment.data);
+            await rename(tmpFile, file);
+          }
+          delete attachment.data;
+          attachment.stub = true;
+        }
+      }
+    }
+    return backupBatch;
+  };
+
+  /**
+   * Read the attachment data of a restore batch from files to replace the
+   * attachment stubs.
+   *
+   * @param {object} restoreBatch a restore batch with attachment stubs
+   * @returns {Promise<object>} the restore batch with attachment data Buffers
+   */
+  read = async (restoreBatch) => {
+    for (const doc of restoreBatch.docs) {
+      if (doc._attachments) {
+        for (const [k, attachment] of Object.entries(doc._attachments)) {
+          if (attachment.stub) {
+            const file = join(this.attachmentsDir, attachmentFileName(attachment.digest));
+            mappingDebug(`Reading attachment ${k} from ${file}.`);
+            try {
+              attachment.data = await readFile(file);
+            } catch (err) {
+              if (err.code === 'ENOENT') {
+                throw new BackupError('AttachmentFileNotFound', `The attachment file ${file} for attachment ${k} of document ${doc._id} does not exist.`);
+              }
+              throw err;
+            }
+            delete attachment.stub;
+          }
+        }
+      }
+    }
+    return restoreBatch;
+  };
+}
+
+/**
+ * Check if the options filter the attachments to back up.
+ *
+ * @param {object} options backup configuration
+ * @returns {boolean} true if the maxAttachmentSize or attachmentContentTypes options are set
+ */
+function filtersAttachments(options) {
+  return typeof options.maxAttachmentSize !== 'undefined' || typeof options.attachmentContentTypes !== 'undefined';
+}
+
+/**
+ * Instead of fetching all the attachment data inline with the documents
+ * this class fetches the documents with attachment stubs, then fetches the
+ * data of only the attachments that pass the maxAttachmentSize and
+ * attachmentContentTypes filters. The other attachments are removed from the
+ * documents and reported with an attachmentSkipped event, since a stub for an
+ * attachment that is not in the backup cannot be restored.
+ */
+class AttachmentFilter {
+  constructor(dbClient, options, ee) {
+    this.dbClient = dbClient;
+    this.maxAttachmentSize = options.maxAttachmentSize;
+    // A comma separated list of content types, for example image/png,text/*
+    this.contentTypes = typeof options.attachmentContentTypes === 'undefined'
+      ? null
+      : options.attachmentContentTypes.split(',').map(contentType => contentType.trim().toLowerCase()).filter(contentType => contentType);
+    this.ee = ee;
+  }
+
+  /**
+   * Get the reason to skip an attachment stub, if any.
+   *
+   * @param {object} stub an attachment stub {contentType: type, length: #, ...}
+   * @returns {string} the reason to skip the attachment or null to back it up
+   */
+  skipReason(stub) {
+    if (typeof this.maxAttachmentSize !== 'undefined' && stub.length > this.maxAttachmentSize) {
+      return `length ${stub.length} exceeds the maximum attachment size ${this.maxAttachmentSize}`;
+    }
+    if (this.contentTypes) {
+      // Ignore any content type parameters, for example "; charset=utf-8"
+      const contentType = (stub.contentType || '').split(';')[0].trim().toLowerCase();
+      const [type] = contentType.split('/');
+      if (!this.contentTypes.some(allowed => allowed === contentType || allowed === '*/*' || allowed === `${type}/*`)) {
+        return `content type ${stub.contentType} is not one of the attachment content types`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mapper for fetching the data of the attachments of a backup batch that
+   * pass the filters and removing the other attachments.
+   *
+   * @param {object} backupBatch a backup batch with attachment stubs
+   * @returns {Promise<object>} the backup batch with attachment data Buffers
+   */
+  fetch = async (backupBatch) => {
+    for (const doc of backupBatch.docs) {
+      if (doc._attachments) {
+        for (const [k, attachment] of Object.entries(doc._attachments)) {
+          const reason = this.skipReason(attachment);
+          if (reason) {
+            mappingDebug(`Skipping attachment ${k} of document ${doc._id} because its ${reason}.`);
+            delete doc._attachments[k];
+            if (this.ee) {
+              this.ee.emit('attachmentSkipped', { id: doc._id, rev: doc._rev, attachment: k, reason });
+            }
+          } else {
+            mappingDebug(`Fetching attachment ${k} of document ${doc._id}.`);
+            const response = await this.dbClient.service.getAttachment({
+              db: this.dbClient.dbName,
+              docId: doc._id,
+              attachmentName: k,
+              rev: doc._rev
+            });
+            // Make the same inline attachment as fetching the document with attachments
+            attachment.data = await buffer(response.result);
+            delete attachment.stub;
+            delete attachment.length;
+          }
+        }
+        if (Object.keys(doc._attachments).length === 0) {
+          delete doc._attachments;
+        }
+      }
+    }
+    return backupBatch;
+  };
 }
 
 module.exports = {
-  Attachments
+  AttachmentFiles,
+  AttachmentFilter,
+  Attachments,
+  attachmentFileName,
+  filtersAttachments
 };
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -13,15 +13,24 @@
 // limitations under the License.
 
 const { createWriteStream } = require('node:fs');
+const { appendFile } = require('node:fs/promises');
 const { pipeline } = require('node:stream/promises');
-const { Attachments } = require('./attachmentMappings.js');
+const { AttachmentFiles, AttachmentFilter, Attachments, filtersAttachments } = require('./attachmentMappings.js');
 const { Backup } = require('./backupMappings.js');
+const { CompressingWritable } = require('./compression.js');
+const { EncryptingWritable } = require('./encryption.js');
+const { TarWritable } = require('./tar.js');
+const { readDatabaseMetadata, readDatabaseProperties } = require('./databaseMetadata.js');
 const { BackupError } = require('./error.js');
+const { backupLocalDocs } = require('./localDocs.js');
 const logFileSummary = require('./logfilesummary.js');
 const logFileGetBatches = require('./logfilegetbatches.js');
 const spoolchanges = require('./spoolchanges.js');
 const { MappingStream, WritableWithPassThrough, DelegateWritable } = require('./transforms.js');
 const allDocsGenerator = require('./allDocsGenerator.js');
+const { RESUME_COMMENT } = require('./restoreMappings.js');
+const debug = require('debug')('couchbackup:backup');
+const pkg = require('../package.json');
 
 /**
  * Validate /_bulk_get support for a specified database.
@@ -41,6 +50,75 @@ async function validateBulkGetSupport(dbClient) {
   }
 }
 
+/**
+ * Write either a backup file header, followed by the local documents if
+ * enabled, or a resume marker.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} options - backup configuration
+ * @param {Writable} targetStream - destination for the backup contents
+ * @param {string} [lastSeq] - update sequence the backup is complete up to
+ * @returns promise that resolves when the metadata is written
+ */
+async function writeMetadata(dbClient, options, targetStream, lastSeq) {
+  let metadataToWrite;
+  if (options.resume) {
+    // Write the resume marker and a newline as it's possible one would be missing from
+    // an interruption of the previous backup. If the backup was clean this
+    // will cause an empty line that will be gracefully handled by the restore.
+    debug('Will write resume marker.');
+    metadataToWrite = `${RESUME_COMMENT}\n`;
+  } else {
+    // Write a file header including the name, version and mode
+    debug('Will write backup file header.');
+    // Record the database properties, and for full and continuous backups the security and revision limit
+    const databaseMetadata = {
+      ...await readDatabaseProperties(dbClient),
+      ...(options.mode !== 'shallow' ? await readDatabaseMetadata(dbClient) : {})
+    };
+    metadataToWrite = `${JSON.stringify({
+      name: pkg.name,
+      version: pkg.version,
+      mode: options.mode,
+      attachments: options.attachments,
+      attachmentFiles: options.attachmentsDir ? true : undefined,
+      maxAttachmentSize: options.maxAttachmentSize,
+      attachmentContentTypes: options.attachmentContentTypes,
+      verifyAttachments: options.verifyAttachments,
+      compression: options.compress,
+      format: options.format,
+      // The backup file ends with a trailer when it is complete
+      trailer: true,
+      revs: options.revs,
+      selector: options.selector,
+      startKey: options.startKey,
+      endKey: options.endKey,
+      idPrefix: options.idPrefix,
+      partition: options.partition,
+      since: options.since,
+      lastSeq,
+      partitioned: databaseMetadata.partitioned,
+      q: databaseMetadata.q,
+      security: databaseMetadata.security,
+      revsLimit: databaseMetadata.revsLimit,
+      timestamp: new Date().toISOString()
+    })}\n`;
+  }
+  if (targetStream.errored) {
+    // A backup file wrapper failed to construct, for example to read the encryption key
+    throw targetStream.errored;
+  }
+  await new Promise((resolve, reject) => {
+    targetStream.write(metadataToWrite, 'utf-8', (err) => {
+      if (err) { reject(err); } else { resolve(); }
+    });
+  });
+  if (options.localDocs && !options.resume) {
+    // The local documents were already written before a resumed backup was interrupted
+    await backupLocalDocs(dbClient, options, targetStream);
+  }
+}
+
 /**
  * Read documents from a database to be backed up.
  *
@@ -51,25 +129,69 @@ async function validateBulkGetSupport(dbClient) {
  * @returns pipeline promise that resolves for a successful backup or rejects on failure
  */
 module.exports = function(dbClient, options, targetStream, ee) {
+  const backup = new Backup(dbClient, options);
+  if (options.encrypt) {
+    // Encrypt each write to the backup file as a frame after a cleartext preamble
+    targetStream = new EncryptingWritable(options, targetStream);
+  }
+  if (options.compress) {
+    // Compress each write to the backup file as a frame that can be appended to on resume
+    targetStream = new CompressingWritable(options.compress, targetStream);
+  }
+  if (options.format === 'tar') {
+    // Write the lines of the backup file as tar entries, the outermost writable
+    // so the archive is compressed and encrypted instead of the lines
+    targetStream = new TarWritable(targetStream);
+  }
   const start = new Date().getTime(); // backup start time
   let total = 0; // total documents backed up
 
-  // Full backups use _bulk_get, validate it is available, shallow skips that check
-  return (options.mode === 'full' ? validateBulkGetSupport(dbClient) : Promise.resolve())
+  // Full and continuous backups use _bulk_get, validate it is available, shallow skips that check unless fetching revisions
+  return (options.mode !== 'shallow' || options.revs ? validateBulkGetSupport(dbClient) : Promise.resolve())
   // Check if the backup is new or resuming and configure the source
     .then(async () => {
       if (options.mode === 'shallow') {
         // shallow backup, start from async _all_docs generator
+        let resumeState;
+        if (options.resume) {
+          // Continue the ranges of document IDs from the last checkpoints
+          const summary = await logFileSummary(options.log);
+          resumeState = {
+            ranges: summary.ranges,
+            firstBatch: typeof summary.lastBatch !== 'undefined' ? summary.lastBatch + 1 : 0
+          };
+          debug(`Resuming shallow backup from batch ${resumeState.firstBatch}.`);
+        }
+        await writeMetadata(dbClient, options, targetStream);
         return [
-          allDocsGenerator(dbClient, options)
+          allDocsGenerator(dbClient, options, resumeState)
         ];
+      } else if (options.mode === 'continuous') {
+        // Continuous backup, follow the changes from the last checkpoint if resuming
+        const followOptions = { ...options };
+        if (options.resume) {
+          const summary = await logFileSummary(options.log);
+          followOptions.since = summary.checkpoint;
+          if (typeof summary.lastBatch !== 'undefined') {
+            followOptions.firstBatch = summary.lastBatch + 1;
+          }
+          debug(`Resuming continuous backup from checkpoint ${summary.checkpoint}.`);
+        } else if (options.since) {
+          // Checkpoint the starting sequence so a resume never starts from the beginning
+          await appendFile(options.log, `:checkpoint ${options.since}\n`);
+        }
+        await writeMetadata(dbClient, options, targetStream);
+        backup.lastSeq = followOptions.since;
+        return spoolchanges(dbClient, followOptions, (backupBatch) => {
+          ee.emit('changes', backupBatch.batch);
+        });
       } else {
         // Full backup, we'll return a stream over a completed changes log file
         if (!options.resume) {
           // Not resuming, start spooling changes to create a log file
-          await spoolchanges(dbClient, options.log, (backupBatch) => {
+          await spoolchanges(dbClient, options, (backupBatch) => {
             ee.emit('changes', backupBatch.batch);
-          }, options.bufferSize);
+          });
         }
         // At this point we should be changes complete because spooling has finished
         // or because we resumed a backup that had already completed spooling (and
@@ -82,12 +204,15 @@ module.exports = function(dbClient, options, targetStream, ee) {
           throw new BackupError('IncompleteChangesInLogFile',
             'WARNING: Changes did not finish spooling, a backup can only be resumed if changes finished spooling. Start a new backup.');
         }
+        // The header is written after spooling so that it can record the last
+        // sequence of the changes, which is where an incremental backup continues.
+        await writeMetadata(dbClient, options, targetStream, summary.lastSeq);
+        backup.lastSeq = summary.lastSeq;
         return logFileGetBatches(options.log, summary.batches);
       }
     })
     // Create a pipeline of the source streams and the backup mappings
     .then((srcStreams) => {
-      const backup = new Backup(dbClient, options);
       const postWrite = (backupBatch) => {
         total += backupBatch.docs.length;
         const totalRunningTimeSec = (new Date().getTime() - start) / 1000;
@@ -96,27 +221,29 @@ module.exports = function(dbClient, options, targetStream, ee) {
 
       const mappingStreams = [];
       const destinationStreams = [];
-      if (options.mode === 'shallow') {
-        // shallow mode writes only to backup file
+      if (options.mode !== 'shallow' || options.revs) {
+        // full and continuous modes fetch the spooled changes, shallow mode with revs fetches the
+        // current revisions listed by _all_docs with their revision histories
+        mappingStreams.push(new MappingStream(backup.pendingToFetched, options.parallelism));
+      }
+      if (options.mode === 'shallow' && !options.log) {
+        // shallow mode without a log file writes only to backup file
         destinationStreams.push(
           new DelegateWritable(
             'backup', // Name for debug
             targetStream, // backup file
-            null, // no last chunk to write
+            backup.backupFileTrailer, // the trailer ends the backup file
             backup.backupBatchToBackupFileLine, // map the backup batch to a string for the backup file
             postWrite // post write function emits the written event
           ) // DelegateWritable writes the log file done lines
         );
       } else {
-        // full mode needs to fetch spooled changes and writes a backup file then finally a log file
-        mappingStreams.push(...[
-          new MappingStream(backup.pendingToFetched, options.parallelism) // fetch the batches at the configured concurrency
-        ]);
+        // write a backup file then finally a log file
         destinationStreams.push(...[
           new WritableWithPassThrough(
             'backup', // name for logging
             targetStream, // backup file
-            null, // no need to write a last chunk
+            backup.backupFileTrailer, // the trailer ends the backup file
             backup.backupBatchToBackupFileLine // map the backup batch to a string for the backup file
           ), // WritableWithPassThrough writes the fetched docs to the backup file and passes on the result metadata
           new DelegateWritable(
@@ -129,14 +256,29 @@ module.exports = function(dbClient, options, targetStream, ee) {
         ]);
       }
 
-      if (options.attachments) {
+      if (options.attachments && filtersAttachments(options)) {
+        // fetch the data of the attachments that pass the filters
+        mappingStreams.push(
+          new MappingStream(new AttachmentFilter(dbClient, options, ee).fetch, options.parallelism)
+        );
+      }
+      if (options.attachments && options.verifyAttachments) {
+        mappingStreams.push(
+          new MappingStream(new Attachments(ee).verify, options.parallelism)
+        );
+      }
+      if (options.attachmentsDir) {
+        mappingStreams.push(
+          new MappingStream(new AttachmentFiles(options.attachmentsDir).write, options.parallelism)
+        );
+      } else if (options.attachments) {
         mappingStreams.push(
           new MappingStream(new Attachments().encode, options.parallelism)
         );
       }
 
       return pipeline(
-        ...srcStreams, // the source streams from the previous block (all docs async generator for shallow or for full either spool changes or resumed log)
+        ...srcStreams, // the source streams from the previous block (all docs async generator for shallow, followed changes for continuous or for full either spool changes or resumed log)
         ...mappingStreams, // map from source to destination content
         ...destinationStreams // the appropriate destination streams for the mode
       );
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,14 +12,30 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { filtersAttachments } = require('./attachmentMappings.js');
+const { trimRevisions } = require('./revisions.js');
+const { ContentDigest } = require('./trailer.js');
 const debug = require('debug');
 
 const mappingDebug = debug('couchbackup:mappings');
 
+/**
+ * Format a log file line recording the state of a shallow backup range
+ * of document IDs.
+ *
+ * @param {object} range a range {index: #, startKey: id, endKey: id, inclusiveEnd: bool, complete: bool}
+ * @returns {string} log file range line
+ */
+function rangeToLogFileLine(range) {
+  const { index, ...rangeState } = range;
+  return `:r range${index} ${JSON.stringify(rangeState)}\n`;
+}
+
 class LogMapper {
-  logMetadataRegex = /^(:(?:[td]\s+batch\d+|changes_complete))\s*/;
-  logCommandRegex = /^:([td]|changes_complete)/;
+  logMetadataRegex = /^(:(?:[td]\s+batch\d+|r\s+range\d+|changes_complete|checkpoint|encryption))\s*/;
+  logCommandRegex = /^:([tdr]|changes_complete|checkpoint|encryption)/;
   logBatchRegex = /batch(\d+)/;
+  logRangeRegex = /range(\d+)/;
 
   /**
    * Function for splitting log file lines into summary and content sections.
@@ -77,6 +93,21 @@ class LogMapper {
     return null;
   }
 
+  /**
+   * Function to extract the range index from the start of a log file line.
+   *
+   * @param {string} logLineMetadata the start of a log file line
+   * @returns range index or null
+   */
+  getRangeFromMetadata(logLineMetadata) {
+    const rangeMatches = logLineMetadata.match(this.logRangeRegex);
+    if (rangeMatches) {
+      return parseInt(rangeMatches[1]);
+    }
+    mappingDebug('Log line had no range index.');
+    return null;
+  }
+
   /**
    * Function to parse the start of a log file line string into
    * a backup batch object for the command and batch.
@@ -101,7 +132,17 @@ class LogMapper {
             mappingDebug(`Log file line for batch ${metadata.batch} with command ${metadata.command}.`);
           }
           break;
+        case 'r':
+          metadata.range = this.getRangeFromMetadata(logLineMetadata);
+          if (metadata.range === null) {
+            metadata.command = null;
+          } else {
+            mappingDebug(`Log file line for range ${metadata.range}.`);
+          }
+          break;
         case 'changes_complete':
+        case 'checkpoint':
+        case 'encryption':
           mappingDebug(`Log file line for command ${metadata.command}.`);
           break;
         default:
@@ -119,6 +160,7 @@ class LogMapper {
    * @param {boolean} metadataOnly whether to process only the metadata
    * @returns a batch object with optional batch number and docs property as determined by metadataOnly
    * or the specific command content {command: t|d|changes_complete, batch: #, docs: [{id: id, ...}]}
+   * or for a range entry {command: r, range: #, rangeState: {startKey: id, ...}}
    */
   handleLogLine(logFileLine, metadataOnly = false) {
     mappingDebug(`Parsing line ${logFileLine.lineNumber}`);
@@ -128,6 +170,28 @@ class LogMapper {
     const splitLogLine = this.splitLogFileLine(logFileLine.line);
     if (splitLogLine.length >= 1) {
       metadata = this.parseLogMetadata(splitLogLine[0]);
+      // changes_complete and checkpoint entries record the last sequence of the changes
+      if ((metadata.command === 'changes_complete' || metadata.command === 'checkpoint') && splitLogLine.length === 2 && splitLogLine[1] && splitLogLine[1] !== 'undefined') {
+        metadata.lastSeq = splitLogLine[1];
+      }
+      // type 'r' entries have the range state to parse, a broken entry from an interruption is discarded
+      if (metadata.command === 'r') {
+        try {
+          metadata.rangeState = JSON.parse(splitLogLine[1]);
+        } catch (err) {
+          mappingDebug(`Ignoring parsing error ${err}`);
+          metadata = {};
+        }
+      }
+      // encryption entries have the encrypted segment of the backup file to parse
+      if (metadata.command === 'encryption') {
+        try {
+          metadata.encryptionSegment = JSON.parse(splitLogLine[1]);
+        } catch (err) {
+          mappingDebug(`Ignoring parsing error ${err}`);
+          metadata = {};
+        }
+      }
       // type 't' entries have doc IDs to parse
       if (!metadataOnly && metadata.command === 't' && splitLogLine.length === 2) {
         const logFileContentJson = splitLogLine[1];
@@ -152,7 +216,7 @@ class LogMapper {
    * needing to parse all the document ID information.
    *
    * @param {object} logFileLine Liner object {lineNumber: #, line: '...data...'}
-   * @returns {object} a batch object {command: t|d|changes_complete, batch: #, docs: [{id: id, ...}]}
+   * @returns {object} a batch object {command: t|d|changes_complete|checkpoint, batch: #, docs: [{id: id, ...}]}
    */
   logLineToMetadata = (logFileLine) => {
     return this.handleLogLine(logFileLine, true);
@@ -170,20 +234,47 @@ class LogMapper {
 }
 
 class Backup {
+  // Counts and digest of the document lines written, for the backup file trailer
+  contentDigest = new ContentDigest();
+  // Update sequence the backup is complete up to
+  lastSeq;
+
   constructor(dbClient, options) {
     this.dbClient = dbClient;
     this.options = options;
   }
 
   /**
- * Mapper for converting a backup batch to a backup file line
+ * Mapper for converting a backup batch to a backup file line, or to a line
+ * for each document in the ndjson and tar formats
  *
  * @param {object} backupBatch a backup batch object {command: d, batch: #, docs: [{_id: id, ...}, ...]}
  * @returns {string} JSON string for the backup file
  */
   backupBatchToBackupFileLine = (backupBatch) => {
     mappingDebug(`Stringifying batch ${backupBatch.batch} with ${backupBatch.docs.length} docs.`);
-    return JSON.stringify(backupBatch.docs) + '\n';
+    const line = ['ndjson', 'tar'].includes(this.options.format)
+      ? backupBatch.docs.map((doc) => JSON.stringify(doc) + '\n').join('')
+      : JSON.stringify(backupBatch.docs) + '\n';
+    // Lines are written in the order they are mapped
+    this.contentDigest.update(line, backupBatch.docs.length);
+    if (backupBatch.seq) {
+      // continuous mode batches end at a sequence
+      this.lastSeq = backupBatch.seq;
+    }
+    return line;
+  };
+
+  /**
+   * Make the trailer line written at the end of a backup file with the counts
+   * and digest of the document lines written since the header or resume marker.
+   *
+   * @returns {string} the trailer line for the backup file
+   */
+  backupFileTrailer = () => {
+    const trailer = this.contentDigest.trailer(this.lastSeq);
+    mappingDebug(`Writing backup file trailer for ${trailer.docs} docs in ${trailer.batches} batches.`);
+    return `${JSON.stringify({ trailer })}\n`;
   };
 
   /**
@@ -194,6 +285,14 @@ class Backup {
  */
   backupBatchToLogFileLine = (backupBatch) => {
     mappingDebug(`Preparing log batch completion line for batch ${backupBatch.batch}.`);
+    if (backupBatch.seq) {
+      // Continuous backups checkpoint the sequence the backup reached
+      return `:d batch${backupBatch.batch}\n:checkpoint ${backupBatch.seq}\n`;
+    }
+    if (backupBatch.range) {
+      // Shallow backups checkpoint the key the range continues from
+      return `:d batch${backupBatch.batch}\n${rangeToLogFileLine(backupBatch.range)}`;
+    }
     return `:d batch${backupBatch.batch}\n`;
   };
 
@@ -212,9 +311,14 @@ class Backup {
         revs: true,
         docs: backupBatch.docs
       };
-      if (this.options.attachments) {
+      if (this.options.attachments && !filtersAttachments(this.options)) {
+        // Filtered attachments are fetched separately from the attachment stubs
         bulkGetOpts.attachments = true;
       }
+      if (this.options.attachments && this.options.verifyAttachments) {
+        // Include the encoding of compressed attachments, which have a digest of the compressed data
+        bulkGetOpts.attEncodingInfo = true;
+      }
       const response = await this.dbClient.service.postBulkGet(bulkGetOpts);
 
       mappingDebug(`Good server response for batch ${backupBatch.batch}.`);
@@ -245,12 +349,24 @@ class Backup {
       });
 
       mappingDebug(`Server returned ${documentRevisions.length} document revisions for batch ${backupBatch.batch}.`);
+      if (this.options.revsLimit) {
+        trimRevisions(documentRevisions, this.options.revsLimit);
+      }
 
-      return {
+      const fetchedBatch = {
         command: 'd',
         batch: backupBatch.batch,
         docs: documentRevisions
       };
+      if (backupBatch.seq) {
+        // Pass on the sequence of a continuous backup batch for the checkpoint
+        fetchedBatch.seq = backupBatch.seq;
+      }
+      if (backupBatch.range) {
+        // Pass on the range of a shallow backup batch for the checkpoint
+        fetchedBatch.range = backupBatch.range;
+      }
+      return fetchedBatch;
     } catch (err) {
       mappingDebug(`Error response from server for batch ${backupBatch.batch}.`);
       throw err;
@@ -260,5 +376,6 @@ class Backup {
 
 module.exports = {
   Backup,
-  LogMapper
+  LogMapper,
+  rangeToLogFileLine
 };
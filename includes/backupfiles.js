@@ -0,0 +1,182 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { createReadStream } = require('node:fs');
+const { Readable } = require('node:stream');
+const { decompress } = require('./compression.js');
+const { decrypt } = require('./encryption.js');
+const { untar } = require('./tar.js');
+const { BackupError } = require('./error.js');
+const { Liner } = require('./liner.js');
+const { readVolumeHeader, volumeSets } = require('./volumes.js');
+const debug = require('debug')('couchbackup:backupfiles');
+
+/**
+ * Read the contents of a backup file, or of the volumes of a backup file
+ * without their volume headers, decrypting and decompressing them and
+ * converting the entries of a tar format backup file to lines.
+ *
+ * @param {string[]} paths - backup file name or volume names
+ * @param {object} [options] - configuration with the encryptionKeyFile or encryptionPassphrase of an encrypted backup file
+ * @returns {AsyncIterable<Buffer>} the backup file contents
+ */
+function backupFileContents(paths, options) {
+  const volumesContents = async function * () {
+    for (const path of paths) {
+      const volume = await readVolumeHeader(path);
+      yield * createReadStream(path, { start: volume ? volume.length : 0 });
+    }
+  };
+  return untar(decompress(decrypt(options)(volumesContents())));
+}
+
+/**
+ * Read the metadata header from the first line of a backup file.
+ *
+ * @param {string} path - backup file name
+ * @param {object} [options] - configuration with the encryptionKeyFile or encryptionPassphrase of an encrypted backup file
+ * @returns {Promise<object|null>} the header object or null if the file has no header
+ */
+async function readBackupFileHeader(path, options) {
+  const input = Readable.from(backupFileContents([path], options), { objectMode: false });
+  const liner = new Liner();
+  try {
+    // Only the first line can be the header
+    const { value: backupLine, done } = await input.pipe(liner)[Symbol.asyncIterator]().next();
+    if (!done) {
+      try {
+        const header = JSON.parse(backupLine.line);
+        if (header && header.name && header.version && header.mode) {
+          return header;
+        }
+      } catch (err) {
+        debug(`Invalid JSON on the first line of backup file ${path}.`);
+      }
+    }
+    return null;
+  } finally {
+    input.destroy();
+    liner.destroy();
+  }
+}
+
+/**
+ * Get the last sequence a backup file is complete up to, from the header of
+ * a full mode backup file or else from the last trailer of the backup file,
+ * which is where a continuous mode backup file records it.
+ *
+ * @param {string[]} paths - backup file name or volume names
+ * @param {object} header - header of the backup file
+ * @param {object} [options] - configuration with the encryptionKeyFile or encryptionPassphrase of an encrypted backup file
+ * @returns {Promise<string|undefined>} the last sequence or undefined if the backup file does not record one
+ */
+async function backupFileLastSeq(paths, header, options) {
+  if (typeof header.lastSeq === 'string') {
+    return header.lastSeq;
+  }
+  let lastSeq;
+  const input = Readable.from(backupFileContents(paths, options), { objectMode: false });
+  for await (const { line } of input.pipe(new Liner())) {
+    if (line.startsWith('{"trailer":')) {
+      try {
+        const { trailer } = JSON.parse(line);
+        if (typeof trailer.lastSeq === 'string') {
+          // A resumed backup file has a trailer for each run, the last is the most recent
+          lastSeq = trailer.lastSeq;
+        }
+      } catch (err) {
+        debug(`Invalid trailer in backup file ${paths[0]}.`);
+      }
+    }
+  }
+  return lastSeq;
+}
+
+/**
+ * Read the last sequence a backup file is complete up to, see backupFileLastSeq.
+ *
+ * @param {string} path - backup file name
+ * @param {object} [options] - configuration with the encryptionKeyFile or encryptionPassphrase of an encrypted backup file
+ * @returns {Promise<string|undefined>} the last sequence or undefined if the backup file does not record one
+ */
+async function readBackupFileLastSeq(path, options) {
+  const header = await readBackupFileHeader(path, options);
+  return header ? backupFileLastSeq([path], header, options) : undefined;
+}
+
+/**
+ * Check that a backup file header continues a chain of backup files,
+ * i.e. that it is an incremental backup since the last sequence of the
+ * previous backup file in the chain.
+ *
+ * @param {string} [previousLastSeq] - last sequence of the previous backup file, from its header or last trailer
+ * @param {object} header - header of the next backup file
+ * @throws {BackupError} if the header does not continue the chain
+ */
+function checkBackupChain(previousLastSeq, header) {
+  if (typeof previousLastSeq !== 'string') {
+    throw new BackupError('BackupChainError', 'Cannot chain a backup file after a backup that does not record a last sequence.');
+  }
+  if (header.since !== previousLastSeq) {
+    throw new BackupError('BackupChainError', `Backup file since sequence ${header.since} does not match the previous backup file last sequence ${previousLastSeq}.`);
+  }
+}
+
+/**
+ * Create a stream of the contents of an ordered chain of backup files,
+ * for example a full backup followed by incremental backups.
+ * The headers of all the files are checked to chain correctly, and the
+ * volume sets to be complete, before any content is streamed.
+ *
+ * @param {string[]} paths - backup file or volume names in restore order
+ * @param {object} [options] - configuration with the encryptionKeyFile or encryptionPassphrase of encrypted backup files
+ * @returns {Readable} stream of the backup files contents
+ */
+function backupChainStream(paths, options) {
+  const chainContents = async function * () {
+    const files = await volumeSets(paths);
+    let previous;
+    for (const volumes of files) {
+      const path = volumes[0];
+      const header = await readBackupFileHeader(path, options);
+      if (previous) {
+        if (!header) {
+          throw new BackupError('BackupChainError', `Backup file ${path} has no metadata so it cannot be chained.`);
+        }
+        try {
+          // A continuous mode backup file records its last sequence in its trailers
+          checkBackupChain(previous.header && await backupFileLastSeq(previous.volumes, previous.header, options), header);
+        } catch (err) {
+          err.message = `${path}: ${err.message}`;
+          throw err;
+        }
+      }
+      previous = { volumes, header };
+    }
+    for (const volumes of files) {
+      debug(`Streaming backup file ${volumes.join(', ')}.`);
+      yield * backupFileContents(volumes, options);
+      // Make sure the next file starts on a new line, blank lines are ignored by restore
+      yield Buffer.from('\n');
+    }
+  };
+  return Readable.from(chainContents(), { objectMode: false });
+}
+
+module.exports = {
+  backupChainStream,
+  checkBackupChain,
+  readBackupFileHeader,
+  readBackupFileLastSeq
+};
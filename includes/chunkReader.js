@@ -0,0 +1,87 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * A reader of bytes from an async iterator of chunks that buffers the
+ * chunks until enough bytes are available for a frame.
+ */
+class ChunkReader {
+  chunks = [];
+  length = 0;
+  position = 0;
+  done = false;
+
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+  }
+
+  /**
+   * Read chunks until at least the given number of bytes are buffered.
+   *
+   * @param {number} n - number of bytes
+   * @returns {Promise<boolean>} false if the source ended before n bytes were available
+   */
+  async fill(n) {
+    while (this.length < n && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else if (value.length > 0) {
+        const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+        this.chunks.push(chunk);
+        this.length += chunk.length;
+      }
+    }
+    return this.length >= n;
+  }
+
+  /**
+   * @param {number} n - number of buffered bytes to get, at most the buffered length
+   * @returns {Buffer} the first n buffered bytes
+   */
+  bytes(n) {
+    if (this.chunks[0].length < n) {
+      this.chunks = [Buffer.concat(this.chunks)];
+    }
+    return this.chunks[0].subarray(0, n);
+  }
+
+  /**
+   * @param {number} n - number of buffered bytes to discard
+   */
+  skip(n) {
+    this.bytes(n);
+    this.chunks[0] = this.chunks[0].subarray(n);
+    if (this.chunks[0].length === 0) {
+      this.chunks.shift();
+    }
+    this.length -= n;
+    this.position += n;
+  }
+
+  async * rest() {
+    yield * this.chunks;
+    this.chunks = [];
+    this.length = 0;
+    while (true) {
+      const { value, done } = await this.iterator.next();
+      if (done) return;
+      yield value;
+    }
+  }
+}
+
+module.exports = {
+  ChunkReader
+};
@@ -0,0 +1,236 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { pipeline } = require('node:stream');
+const { promisify } = require('node:util');
+const zlib = require('node:zlib');
+const { ChunkReader } = require('./chunkReader.js');
+const { BackupError } = require('./error.js');
+const { WrappingWritable } = require('./transforms.js');
+const debug = require('debug')('couchbackup:compression');
+
+// Each write to a compressed backup file is compressed independently as a
+// frame that records its own length. Appending frames keeps the resume
+// semantics of the backup file and restore can skip a frame left incomplete
+// by an interrupted backup by finding the next valid frame, which is the
+// resume marker written by the resumed backup.
+
+// gzip members with an extra field subfield "CB" holding the member length
+const GZIP_SIGNATURE = Buffer.from([0x1f, 0x8b, 0x08, 0x04]);
+const GZIP_EXTRA_FIELD = Buffer.from([0x08, 0x00, 0x43, 0x42, 0x04, 0x00]);
+// zstd skippable frames of 4 bytes holding the length of the next zstd frame
+const ZSTD_SIGNATURE = Buffer.from([0x50, 0x2a, 0x4d, 0x18, 0x04, 0x00, 0x00, 0x00]);
+// brotli streams have no header, so they are preceded by "\x89CBR" and the stream length,
+// which the brotli tool cannot read
+const BROTLI_SIGNATURE = Buffer.from([0x89, 0x43, 0x42, 0x52]);
+
+const codecs = {
+  gzip: {
+    signature: GZIP_SIGNATURE,
+    headerLength: 20,
+    frameLength: (header) => header.subarray(10, 16).equals(GZIP_EXTRA_FIELD) ? header.readUInt32LE(16) : -1,
+    compress: async (data) => {
+      const member = await promisify(zlib.gzip)(data);
+      // Rewrite the 10 byte member header to add the extra field
+      const header = Buffer.alloc(20);
+      member.copy(header, 0, 0, 10);
+      GZIP_SIGNATURE.copy(header);
+      GZIP_EXTRA_FIELD.copy(header, 10);
+      header.writeUInt32LE(member.length + 10, 16);
+      return Buffer.concat([header, member.subarray(10)]);
+    },
+    decompress: (frame) => promisify(zlib.gunzip)(frame)
+  },
+  zstd: {
+    signature: ZSTD_SIGNATURE,
+    headerLength: 12,
+    frameLength: (header) => header.readUInt32LE(8) + 12,
+    compress: async (data) => {
+      const compressed = await promisify(zlib.zstdCompress)(data, {
+        params: { [zlib.constants.ZSTD_c_checksumFlag]: 1 }
+      });
+      const header = Buffer.alloc(12);
+      ZSTD_SIGNATURE.copy(header);
+      header.writeUInt32LE(compressed.length, 8);
+      return Buffer.concat([header, compressed]);
+    },
+    decompress: (frame) => promisify(zlib.zstdDecompress)(frame.subarray(12))
+  },
+  brotli: {
+    signature: BROTLI_SIGNATURE,
+    headerLength: 8,
+    frameLength: (header) => header.readUInt32LE(4) + 8,
+    compress: async (data) => {
+      const compressed = await promisify(zlib.brotliCompress)(data, {
+        params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT }
+      });
+      const header = Buffer.alloc(8);
+      BROTLI_SIGNATURE.copy(header);
+      header.writeUInt32LE(compressed.length, 4);
+      return Buffer.concat([header, compressed]);
+    },
+    decompress: (frame) => promisify(zlib.brotliDecompress)(frame.subarray(8))
+  }
+};
+
+// zstd is only available in newer versions of Node.js
+const compressions = ['gzip', 'brotli'].concat(zlib.zstdCompress ? ['zstd'] : []);
+const maxHeaderLength = Math.max(...compressions.map(c => codecs[c].headerLength));
+
+/**
+ * Find the codec of a frame header.
+ *
+ * @param {Buffer} header - bytes starting at a frame
+ * @returns {object|undefined} the codec or undefined if it is not a frame header
+ */
+function frameCodec(header) {
+  for (const compression of compressions) {
+    const codec = codecs[compression];
+    if (header.length >= codec.headerLength &&
+      header.subarray(0, codec.signature.length).equals(codec.signature) &&
+      codec.frameLength(header) >= codec.headerLength) {
+      return codec;
+    }
+  }
+}
+
+class CompressingWritable extends WrappingWritable {
+  /**
+   * A Writable that compresses each chunk written to it as a frame and
+   * writes the frame to another writable.
+   *
+   * @param {string} compression - gzip, brotli or zstd
+   * @param {Writable} targetWritable - the Writable stream to write the frames to
+   */
+  constructor(compression, targetWritable) {
+    super('compressing', targetWritable);
+    this.codec = codecs[compression];
+  }
+
+  wrapChunk(chunk) {
+    return this.codec.compress(chunk);
+  }
+}
+
+/**
+ * Try to decompress a frame from the start of the buffered bytes.
+ *
+ * @param {ChunkReader} reader - reader positioned at a frame header
+ * @param {number} offset - offset of the frame in the buffered bytes
+ * @returns {Promise<object|null>} the frame length and data or null if no complete valid frame
+ */
+async function readFrame(reader, offset) {
+  await reader.fill(offset + maxHeaderLength);
+  const codec = frameCodec(reader.bytes(Math.min(reader.length, offset + maxHeaderLength)).subarray(offset));
+  if (codec) {
+    const length = codec.frameLength(reader.bytes(offset + codec.headerLength).subarray(offset));
+    if (await reader.fill(offset + length)) {
+      try {
+        return { length, data: await codec.decompress(reader.bytes(offset + length).subarray(offset)) };
+      } catch (err) {
+        debug(`Invalid frame at byte ${reader.position + offset}: ${err.message}`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the next valid frame after a frame left incomplete by an interrupted
+ * backup.
+ *
+ * @param {ChunkReader} reader - reader positioned at the incomplete frame
+ * @returns {Promise<number>} offset of the next valid frame or -1 if there is none
+ */
+async function findNextFrame(reader) {
+  // The incomplete frame is at most the bytes up to the end of its declared length
+  const buffered = reader.bytes(reader.length);
+  const candidates = [];
+  for (const compression of compressions) {
+    const signature = codecs[compression].signature;
+    for (let offset = buffered.indexOf(signature, 1); offset !== -1; offset = buffered.indexOf(signature, offset + 1)) {
+      candidates.push(offset);
+    }
+  }
+  for (const offset of candidates.sort((a, b) => a - b)) {
+    const frame = await readFrame(reader, offset);
+    if (frame) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decompress a backup file compressed by other tools as a single stream.
+ *
+ * @param {ChunkReader} reader - reader of the backup file
+ * @param {Transform} decompressor - the zlib decompression stream
+ * @yields {Buffer} the decompressed backup file bytes
+ */
+async function * decompressStream(reader, decompressor) {
+  try {
+    // The pipeline errors are thrown by iterating the decompressor
+    yield * pipeline(reader.rest(), decompressor, () => {});
+  } catch (err) {
+    if (err instanceof BackupError) {
+      throw err;
+    }
+    throw new BackupError('BackupFileCompressionError', `Error in backup file - cannot decompress: ${err.message}`);
+  }
+}
+
+/**
+ * Decompress a backup file detecting the compression from its first bytes.
+ * Backup files that are not compressed, or are compressed by other tools
+ * with gzip or zstd, are also read.
+ *
+ * @param {AsyncIterable} source - the backup file bytes
+ * @yields {Buffer} the decompressed backup file bytes
+ */
+async function * decompress(source) {
+  const reader = new ChunkReader(source);
+  await reader.fill(maxHeaderLength);
+  const start = reader.length > 0 ? reader.bytes(Math.min(reader.length, maxHeaderLength)) : Buffer.alloc(0);
+  if (frameCodec(start)) {
+    while (await reader.fill(1)) {
+      const frame = await readFrame(reader, 0);
+      if (frame) {
+        reader.skip(frame.length);
+        yield frame.data;
+      } else {
+        const offset = await findNextFrame(reader);
+        if (offset === -1) {
+          throw new BackupError('BackupFileCompressionError', `Error at byte ${reader.position} of backup file - cannot decompress`);
+        }
+        debug(`Skipped ${offset} bytes of an incomplete frame at byte ${reader.position} of backup file.`);
+        reader.skip(offset);
+      }
+    }
+  } else if (start.subarray(0, 2).equals(GZIP_SIGNATURE.subarray(0, 2))) {
+    debug('Decompressing a gzip backup file.');
+    yield * decompressStream(reader, zlib.createGunzip());
+  } else if (zlib.createZstdDecompress && start.subarray(0, 4).equals(Buffer.from([0x28, 0xb5, 0x2f, 0xfd]))) {
+    debug('Decompressing a zstd backup file.');
+    yield * decompressStream(reader, zlib.createZstdDecompress());
+  } else {
+    yield * reader.rest();
+  }
+}
+
+module.exports = {
+  CompressingWritable,
+  compressions,
+  decompress
+};
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -91,9 +91,9 @@ function applyEnvironmentVariables(opts) {
     opts.output = normalize(process.env.COUCH_OUTPUT);
   }
 
-  // if we only want a shallow copy
-  if (typeof process.env.COUCH_MODE !== 'undefined' && process.env.COUCH_MODE === 'shallow') {
-    opts.mode = 'shallow';
+  // if we only want a shallow copy or to continuously follow the changes
+  if (typeof process.env.COUCH_MODE !== 'undefined' && ['shallow', 'continuous'].includes(process.env.COUCH_MODE)) {
+    opts.mode = process.env.COUCH_MODE;
   }
 
   // if we are instructed to be quiet
@@ -115,6 +115,11 @@ function applyEnvironmentVariables(opts) {
   if (typeof process.env.COUCH_ATTACHMENTS !== 'undefined' && process.env.COUCH_ATTACHMENTS === 'true') {
     opts.attachments = true;
   }
+
+  // if we have a passphrase for encrypting or decrypting backups
+  if (typeof process.env.COUCH_ENCRYPTION_PASSPHRASE !== 'undefined') {
+    opts.encryptionPassphrase = process.env.COUCH_ENCRYPTION_PASSPHRASE;
+  }
 }
 
 module.exports = {
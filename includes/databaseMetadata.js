@@ -0,0 +1,139 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { CloudantV1 } = require('@ibm-cloud/cloudant');
+const { BackupError } = require('./error.js');
+const debug = require('debug')('couchbackup:databasemetadata');
+
+/**
+ * Make a request to the revision limit endpoint of a database, which the
+ * SDK does not have an operation for.
+ *
+ * @param {object} dbClient - object for connection to the database containing name, service and url
+ * @param {string} method - HTTP method
+ * @param {number} [revsLimit] - revision limit to set
+ * @returns {Promise<object>} the response
+ */
+function revsLimitRequest(dbClient, method, revsLimit) {
+  const headers = { Accept: 'application/json' };
+  if (typeof revsLimit !== 'undefined') {
+    headers['Content-Type'] = 'application/json';
+  }
+  return dbClient.service.createRequest({
+    options: {
+      url: '/{db}/_revs_limit',
+      method,
+      path: { db: dbClient.dbName },
+      body: revsLimit
+    },
+    defaultOptions: { ...dbClient.service.baseOptions, headers }
+  });
+}
+
+/**
+ * Read the properties the database was created with, to record in the backup
+ * file metadata so that a restore can create a matching database.
+ *
+ * @param {object} dbClient - object for connection to the database containing name, service and url
+ * @returns {Promise<object>} {partitioned, q}
+ */
+async function readDatabaseProperties(dbClient) {
+  const response = await dbClient.service.getDatabaseInformation({ db: dbClient.dbName });
+  const { cluster, props } = response.result;
+  return {
+    partitioned: (props && props.partitioned) === true,
+    q: cluster ? cluster.q : undefined
+  };
+}
+
+/**
+ * Read the database settings that are not documents, the `_security` object
+ * and the `_revs_limit`, to record in the backup file metadata.
+ * Settings the credentials are not permitted to read are left out.
+ *
+ * @param {object} dbClient - object for connection to the database containing name, service and url
+ * @returns {Promise<object>} {security, revsLimit} in CouchDB JSON form
+ */
+async function readDatabaseMetadata(dbClient) {
+  const databaseMetadata = {};
+  try {
+    const response = await dbClient.service.getSecurity({ db: dbClient.dbName });
+    // Store the CouchDB form of the security object rather than the SDK form
+    databaseMetadata.security = CloudantV1.Security.serialize(response.result);
+  } catch (err) {
+    if (err.status !== 401 && err.status !== 403) {
+      throw err;
+    }
+    console.warn(`WARNING: the database security was not backed up because reading it is not permitted: ${err.message}`);
+  }
+  try {
+    databaseMetadata.revsLimit = (await revsLimitRequest(dbClient, 'GET')).result;
+  } catch (err) {
+    if (err.status !== 401 && err.status !== 403) {
+      throw err;
+    }
+    console.warn(`WARNING: the database revision limit was not backed up because reading it is not permitted: ${err.message}`);
+  }
+  return databaseMetadata;
+}
+
+/**
+ * Create a database with the properties recorded in the backup file metadata.
+ * The shard count is left to the server default if the server does not
+ * allow it to be set.
+ *
+ * @param {object} dbClient - object for connection to the database containing name, service and url
+ * @param {object} [backupMetadata] - backup file metadata
+ * @returns {Promise} resolves when the database is created
+ */
+async function createDatabase(dbClient, backupMetadata = {}) {
+  const { partitioned, q } = backupMetadata;
+  debug(`Creating database ${dbClient.dbName} with partitioned ${partitioned} and q ${q}.`);
+  try {
+    await dbClient.service.putDatabase({ db: dbClient.dbName, partitioned, q });
+  } catch (err) {
+    if (err.status !== 400 || typeof q === 'undefined') {
+      throw err;
+    }
+    debug(`The server did not allow q ${q}, creating database ${dbClient.dbName} with the default q.`);
+    await dbClient.service.putDatabase({ db: dbClient.dbName, partitioned });
+  }
+}
+
+/**
+ * Apply the database settings recorded in the backup file metadata to the
+ * restored database.
+ *
+ * @param {object} dbClient - object for connection to the database containing name, service and url
+ * @param {object} backupMetadata - backup file metadata
+ * @returns {Promise} resolves when the settings are applied
+ */
+async function applyDatabaseMetadata(dbClient, backupMetadata) {
+  if (!backupMetadata || !backupMetadata.security) {
+    throw new BackupError('SecurityMetadataAbsent', 'Cannot restore the database security because the backup file does not record it.');
+  }
+  debug(`Restoring the security of database ${dbClient.dbName}.`);
+  await dbClient.service.putSecurity({ db: dbClient.dbName, ...CloudantV1.Security.deserialize(backupMetadata.security) });
+  if (typeof backupMetadata.revsLimit === 'number') {
+    debug(`Restoring the revision limit ${backupMetadata.revsLimit} of database ${dbClient.dbName}.`);
+    await revsLimitRequest(dbClient, 'PUT', backupMetadata.revsLimit);
+  }
+}
+
+module.exports = {
+  applyDatabaseMetadata,
+  createDatabase,
+  readDatabaseMetadata,
+  readDatabaseProperties
+};
@@ -0,0 +1,165 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { readdir } = require('node:fs/promises');
+const { basename, join } = require('node:path');
+const { Readable, Writable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { OptionError } = require('./error.js');
+const { MappingStream } = require('./transforms.js');
+const debug = require('debug')('couchbackup:databases');
+
+// Extension of the backup file for each database in a directory
+const BACKUP_FILE_EXTENSION = '.txt';
+// Extension of the log file for each database in a directory
+const LOG_FILE_EXTENSION = '.log';
+
+/**
+ * Convert a database name glob pattern to a regular expression.
+ * A `*` matches any characters and a `?` matches a single character.
+ *
+ * @param {string} pattern - glob pattern
+ * @returns {RegExp} regular expression matching the whole database name
+ */
+function globToRegExp(pattern) {
+  const regExpSource = pattern.split('').map((c) => {
+    switch (c) {
+      case '*':
+        return '.*';
+      case '?':
+        return '.';
+      default:
+        return c.replace(/[.+^${}()|[\]\\/-]/g, '\\$&');
+    }
+  }).join('');
+  return new RegExp(`^${regExpSource}$`);
+}
+
+/**
+ * List the databases of a server to back up.
+ *
+ * @param {object} serverClient - object for connection to the server containing service and url
+ * @param {object} options - database selection options
+ * @param {boolean} [options.allDbs] - select all databases except the system databases
+ * @param {string} [options.dbPattern] - glob pattern of database names to select
+ * @returns {Promise<string[]>} the selected database names
+ */
+async function listDatabases(serverClient, options) {
+  const response = await serverClient.service.getAllDbs();
+  const dbPatternRegExp = options.dbPattern ? globToRegExp(options.dbPattern) : null;
+  const dbNames = response.result.filter((dbName) => {
+    if (options.allDbs && dbName.startsWith('_')) {
+      // Skip system databases like _users and _replicator
+      return false;
+    }
+    return dbPatternRegExp ? dbPatternRegExp.test(dbName) : true;
+  });
+  debug(`Selected ${dbNames.length} of ${response.result.length} databases.`);
+  return dbNames;
+}
+
+/**
+ * Get the name of the file for a database in a backup directory.
+ * The database name is URI encoded because it can contain "/".
+ *
+ * @param {string} dbName - database name
+ * @param {string} [extension] - file extension
+ * @returns {string} file name
+ */
+function databaseFileName(dbName, extension = BACKUP_FILE_EXTENSION) {
+  return `${encodeURIComponent(dbName)}${extension}`;
+}
+
+/**
+ * List the backup files in a backup directory and the databases to restore
+ * them to. A database is named after its backup file, unless the name is in
+ * the name map, otherwise the prefix is prepended. Files that are not named
+ * after an encoded database name are skipped with a warning.
+ *
+ * @param {string} dir - backup directory
+ * @param {object} options - database naming options
+ * @param {string} [options.dbPrefix] - prefix for the restored database names
+ * @param {object} [options.dbNameMap] - map of backed up database names to restored database names
+ * @returns {Promise<Map<string, string>>} map of restored database names to backup file names
+ */
+async function listBackupFiles(dir, options) {
+  const fileNames = (await readdir(dir)).filter((fileName) => fileName.endsWith(BACKUP_FILE_EXTENSION)).sort();
+  const backupFiles = new Map();
+  for (const fileName of fileNames) {
+    let backupDbName;
+    try {
+      backupDbName = decodeURIComponent(basename(fileName, BACKUP_FILE_EXTENSION));
+    } catch (err) {
+      console.warn(`WARNING: skipping ${fileName}, it is not named after an encoded database name`);
+      continue;
+    }
+    const dbName = (options.dbNameMap && typeof options.dbNameMap[backupDbName] === 'string')
+      ? options.dbNameMap[backupDbName]
+      : `${options.dbPrefix || ''}${backupDbName}`;
+    if (backupFiles.has(dbName)) {
+      throw new OptionError(`Invalid database names, the backup files ${basename(backupFiles.get(dbName))} and ${fileName} both restore to database ${dbName}`);
+    }
+    backupFiles.set(dbName, join(dir, fileName));
+  }
+  debug(`Found ${backupFiles.size} backup files in ${dir}.`);
+  return backupFiles;
+}
+
+/**
+ * Run a function for each database with a bounded number of databases
+ * in flight. A failure for one database does not stop the others.
+ *
+ * @param {string[]} dbNames - database names
+ * @param {number} concurrency - maximum number of databases in flight
+ * @param {function} fn - async function(dbName) returning a result object
+ * @param {function} [onResult] - function called with each database result as it completes
+ * @returns {Promise<object[]>} results {name, ...result} or {name, error} in database order
+ */
+async function forEachDatabase(dbNames, concurrency, fn, onResult) {
+  const results = [];
+  await pipeline(
+    Readable.from(dbNames),
+    new MappingStream(async (dbName) => {
+      let result;
+      try {
+        result = { name: dbName, ...await fn(dbName) };
+      } catch (err) {
+        debug(`Error for database ${dbName}: ${err.message}`);
+        result = { name: dbName, error: err };
+      }
+      if (onResult) {
+        onResult(result);
+      }
+      return result;
+    }, concurrency),
+    new Writable({
+      objectMode: true,
+      write: (result, encoding, callback) => {
+        results.push(result);
+        callback();
+      }
+    })
+  );
+  return results;
+}
+
+module.exports = {
+  BACKUP_FILE_EXTENSION,
+  LOG_FILE_EXTENSION,
+  databaseFileName,
+  forEachDatabase,
+  globToRegExp,
+  listBackupFiles,
+  listDatabases
+};
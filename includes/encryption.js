@@ -0,0 +1,425 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { createCipheriv, createDecipheriv, createHmac, randomBytes, scrypt } = require('node:crypto');
+const { readFileSync } = require('node:fs');
+const { appendFile, readFile } = require('node:fs/promises');
+const { promisify } = require('node:util');
+const { ChunkReader } = require('./chunkReader.js');
+const { BackupError, OptionError } = require('./error.js');
+const logFileSummary = require('./logfilesummary.js');
+const { WrappingWritable } = require('./transforms.js');
+const debug = require('debug')('couchbackup:encryption');
+
+// An encrypted backup file is a series of records of a 4 byte signature and
+// a 4 byte length followed by the record content. A cleartext preamble record
+// of the encryption parameters is followed by AES-256-GCM encrypted frames
+// of each write to the backup file and an empty final frame. Each frame is
+// authenticated with the preamble, its index after the preamble and whether
+// it is the final frame. The preamble has a random ID of the backup file, so
+// frames cannot be dropped, reordered, truncated or moved between backup files
+// without failing authentication or missing the final frame. A resumed
+// backup appends a new preamble so restore can skip a frame left incomplete
+// by an interrupted backup by finding the preamble directly after it. The
+// preambles of a backup file are numbered segments of the file, recorded in
+// the log file so that a resumed backup continues the segments of the backup
+// file and restore can tell a resumed segment from an appended backup file.
+const PREAMBLE_SIGNATURE = Buffer.from([0x89, 0x43, 0x42, 0x4b]); // "\x89CBK"
+const FRAME_SIGNATURE = Buffer.from([0x89, 0x43, 0x42, 0x45]); // "\x89CBE"
+const FINAL_FRAME_SIGNATURE = Buffer.from([0x89, 0x43, 0x42, 0x46]); // "\x89CBF"
+const RECORD_HEADER_LENGTH = 8;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// scrypt cost parameters for deriving a key from a passphrase
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * @param {Buffer} signature - record signature
+ * @param {Buffer} content - record content
+ * @returns {Buffer} the record
+ */
+function record(signature, content) {
+  const header = Buffer.alloc(RECORD_HEADER_LENGTH);
+  signature.copy(header);
+  header.writeUInt32LE(content.length, 4);
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * @param {Buffer} preamble - the preamble record the frame follows
+ * @param {number} index - index of the frame after the preamble
+ * @param {boolean} final - whether it is the final frame
+ * @returns {Buffer} the additional authenticated data of the frame
+ */
+function frameAad(preamble, index, final) {
+  const frameData = Buffer.alloc(9);
+  frameData.writeBigUInt64BE(BigInt(index));
+  frameData.writeUInt8(final ? 1 : 0, 8);
+  return Buffer.concat([preamble, frameData]);
+}
+
+/**
+ * Identify a key without revealing it, so that restore can tell a wrong key
+ * from a corrupted backup file.
+ *
+ * @param {Buffer} key - encryption key
+ * @returns {string} the key ID
+ */
+function keyId(key) {
+  return createHmac('sha256', key).update('couchbackup').digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {Buffer} contents - contents of the encryption key file
+ * @param {string} path - encryption key file name
+ * @returns {Buffer} the key
+ * @throws {OptionError} if the file does not contain a 256-bit key
+ */
+function keyFileKey(contents, path) {
+  if (contents.length === KEY_LENGTH) {
+    return contents;
+  }
+  const hex = contents.toString('utf-8').trim();
+  if (/^[0-9a-fA-F]{64}$/.test(hex)) {
+    return Buffer.from(hex, 'hex');
+  }
+  throw new OptionError(`Invalid encryption key file ${path}, it must contain a 256-bit key as 32 bytes or 64 hexadecimal characters`);
+}
+
+/**
+ * Check the encryption key file can be read and contains a key, so that a
+ * bad key file is an option error before a backup or restore starts.
+ *
+ * @param {string} path - encryption key file name
+ * @throws {OptionError} if the file cannot be read or does not contain a 256-bit key
+ */
+function validateEncryptionKeyFile(path) {
+  let contents;
+  try {
+    contents = readFileSync(path);
+  } catch (err) {
+    throw new OptionError(`Invalid encryption key file ${path}, it cannot be read: ${err.message}`);
+  }
+  keyFileKey(contents, path);
+}
+
+/**
+ * Get the encrypted segment of the backup file for a new preamble, the next
+ * segment of the backup file being resumed or else the first segment of a
+ * new backup file, and record it in the log file.
+ *
+ * @param {object} options - backup configuration with the log and resume options
+ * @returns {Promise<object>} the segment {fileId, segment}
+ */
+async function encryptionSegment(options) {
+  let segment = { fileId: randomBytes(16).toString('hex'), segment: 0 };
+  if (options.log) {
+    const previous = options.resume ? (await logFileSummary(options.log)).encryptionSegment : undefined;
+    if (previous) {
+      segment = { fileId: previous.fileId, segment: previous.segment + 1 };
+    }
+    await appendFile(options.log, `:encryption ${JSON.stringify(segment)}\n`);
+  }
+  return segment;
+}
+
+/**
+ * Check the scrypt parameters from a preamble, which is not authenticated
+ * until the key is derived, do not exceed the cost of the parameters backups
+ * are written with so that a crafted backup file cannot exhaust the memory
+ * or CPU of a restore.
+ *
+ * @param {object} params - key derivation parameters from the preamble
+ * @throws {BackupError} if the parameters are invalid or exceed the limits
+ */
+function checkScryptParams(params) {
+  const { salt, N, r, p } = params;
+  const valid = typeof salt === 'string' &&
+    [N, r, p].every((value) => Number.isInteger(value) && value > 0) &&
+    (N & (N - 1)) === 0 &&
+    N <= SCRYPT_PARAMS.N && r <= SCRYPT_PARAMS.r && p <= SCRYPT_PARAMS.p;
+  if (!valid) {
+    throw new BackupError('BackupFileDecryptionError', `Invalid scrypt parameters in the backup file preamble, N, r and p must be at most ${SCRYPT_PARAMS.N}, ${SCRYPT_PARAMS.r} and ${SCRYPT_PARAMS.p}.`);
+  }
+}
+
+/**
+ * Read the key from the encryption key file, or derive it from the
+ * encryption passphrase with the key derivation parameters.
+ *
+ * @param {object} options - backup or restore configuration
+ * @param {object} params - key derivation parameters from the preamble
+ * @returns {Promise<Buffer>} the key
+ */
+async function encryptionKey(options, params) {
+  if (params.kdf === 'none') {
+    return keyFileKey(await readFile(options.encryptionKeyFile), options.encryptionKeyFile);
+  }
+  checkScryptParams(params);
+  const { N, r, p } = params;
+  return promisify(scrypt)(options.encryptionPassphrase, Buffer.from(params.salt, 'base64'), KEY_LENGTH, {
+    N, r, p, maxmem: 256 * N * r
+  });
+}
+
+class EncryptingWritable extends WrappingWritable {
+  /**
+   * A Writable that encrypts each chunk written to it as a frame and writes
+   * the frame to another writable, after first writing the preamble.
+   *
+   * @param {object} options - backup configuration with the encryptionKeyFile or encryptionPassphrase
+   * @param {Writable} targetWritable - the Writable stream to write the records to
+   */
+  constructor(options, targetWritable) {
+    super('encrypting', targetWritable);
+    this.options = options;
+    this.frameIndex = 0;
+  }
+
+  _construct(callback) {
+    const params = this.options.encryptionKeyFile
+      ? { kdf: 'none' }
+      : { kdf: 'scrypt', salt: randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    Promise.all([encryptionKey(this.options, params), encryptionSegment(this.options)]).then(([key, segment]) => {
+      this.key = key;
+      this.preamble = record(PREAMBLE_SIGNATURE, Buffer.from(JSON.stringify({ cipher: CIPHER, ...params, keyId: keyId(key), ...segment })));
+      this.targetWritable.write(this.preamble, callback);
+    }).catch(callback);
+  }
+
+  /**
+   * @param {Buffer|string} data - data to encrypt
+   * @param {boolean} final - whether it is the final frame
+   * @returns {Buffer} the frame record
+   */
+  frame(data, final) {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv(CIPHER, this.key, iv).setAAD(frameAad(this.preamble, this.frameIndex++, final));
+    const encrypted = Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+    return record(final ? FINAL_FRAME_SIGNATURE : FRAME_SIGNATURE, encrypted);
+  }
+
+  async wrapChunk(chunk) {
+    return this.frame(chunk, false);
+  }
+
+  _final(callback) {
+    if (this.targetWritable.destroyed) {
+      super._final(callback);
+      return;
+    }
+    // The final frame marks the end of the frames of a complete backup
+    this.targetWritable.write(this.frame(Buffer.alloc(0), true), (err) => {
+      if (err) {
+        callback(err);
+      } else {
+        super._final(callback);
+      }
+    });
+  }
+}
+
+/**
+ * @param {ChunkReader} reader - reader of the backup file
+ * @param {number} offset - offset of a preamble record in the buffered bytes
+ * @returns {Promise<object|null>} the preamble record and parameters or null if it is not a valid preamble
+ */
+async function readPreamble(reader, offset) {
+  if (await reader.fill(offset + RECORD_HEADER_LENGTH)) {
+    const header = reader.bytes(offset + RECORD_HEADER_LENGTH).subarray(offset);
+    const length = RECORD_HEADER_LENGTH + header.readUInt32LE(4);
+    if (header.subarray(0, 4).equals(PREAMBLE_SIGNATURE) && await reader.fill(offset + length)) {
+      const preamble = Buffer.from(reader.bytes(offset + length).subarray(offset));
+      try {
+        const params = JSON.parse(preamble.subarray(RECORD_HEADER_LENGTH).toString('utf-8'));
+        if (params && params.cipher === CIPHER && typeof params.keyId === 'string' &&
+          typeof params.fileId === 'string' && Number.isInteger(params.segment)) {
+          return { preamble, params };
+        }
+      } catch (err) {
+        debug(`Invalid preamble at byte ${reader.position + offset}.`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decrypt the frame at the start of the buffered bytes and skip past it.
+ *
+ * @param {ChunkReader} reader - reader of the backup file
+ * @param {object} frames - the {preamble, key, index} of the frames after the preamble
+ * @returns {Promise<object|null>} the decrypted {data, final} or null if there is no complete authentic frame
+ */
+async function readFrame(reader, frames) {
+  if (await reader.fill(RECORD_HEADER_LENGTH)) {
+    const header = reader.bytes(RECORD_HEADER_LENGTH);
+    const length = RECORD_HEADER_LENGTH + header.readUInt32LE(4);
+    const final = header.subarray(0, 4).equals(FINAL_FRAME_SIGNATURE);
+    if ((final || header.subarray(0, 4).equals(FRAME_SIGNATURE)) &&
+      length >= RECORD_HEADER_LENGTH + IV_LENGTH + TAG_LENGTH && await reader.fill(length)) {
+      const frame = reader.bytes(length);
+      const iv = frame.subarray(RECORD_HEADER_LENGTH, RECORD_HEADER_LENGTH + IV_LENGTH);
+      const decipher = createDecipheriv(CIPHER, frames.key, iv)
+        .setAAD(frameAad(frames.preamble, frames.index, final))
+        .setAuthTag(frame.subarray(length - TAG_LENGTH));
+      try {
+        const data = Buffer.concat([decipher.update(frame.subarray(RECORD_HEADER_LENGTH + IV_LENGTH, length - TAG_LENGTH)), decipher.final()]);
+        reader.skip(length);
+        return { data, final };
+      } catch (err) {
+        debug(`Frame ${frames.index} at byte ${reader.position} of backup file failed authentication.`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the preamble of a resumed backup directly after a frame left
+ * incomplete by an interrupted backup, that is within the length the
+ * incomplete frame declares or within its record header if the header is
+ * incomplete.
+ *
+ * @param {ChunkReader} reader - reader positioned at the incomplete frame
+ * @returns {Promise<number>} offset of the preamble or -1 if there is none
+ */
+async function findResumedPreamble(reader) {
+  let end = RECORD_HEADER_LENGTH;
+  if (reader.length >= RECORD_HEADER_LENGTH) {
+    const header = reader.bytes(RECORD_HEADER_LENGTH);
+    if (header.subarray(0, 4).equals(FRAME_SIGNATURE) || header.subarray(0, 4).equals(FINAL_FRAME_SIGNATURE)) {
+      end = RECORD_HEADER_LENGTH + header.readUInt32LE(4);
+    }
+  }
+  await reader.fill(end + RECORD_HEADER_LENGTH);
+  const buffered = reader.bytes(Math.min(reader.length, end + RECORD_HEADER_LENGTH));
+  for (let offset = buffered.indexOf(PREAMBLE_SIGNATURE, 1); offset !== -1 && offset < end; offset = buffered.indexOf(PREAMBLE_SIGNATURE, offset + 1)) {
+    if (await readPreamble(reader, offset)) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {ChunkReader} reader - reader positioned at a frame that cannot be decrypted
+ * @returns {Promise<boolean>} true if the frame is incomplete at the end of the backup file
+ */
+async function isIncompleteFrame(reader) {
+  if (!await reader.fill(RECORD_HEADER_LENGTH)) {
+    return true;
+  }
+  const header = reader.bytes(RECORD_HEADER_LENGTH);
+  const length = RECORD_HEADER_LENGTH + header.readUInt32LE(4);
+  return (header.subarray(0, 4).equals(FRAME_SIGNATURE) || header.subarray(0, 4).equals(FINAL_FRAME_SIGNATURE)) &&
+    !await reader.fill(length);
+}
+
+/**
+ * Error for an encrypted backup file that is incomplete, or only warn with
+ * the allowUnverified option.
+ *
+ * @param {object} options - restore configuration
+ * @param {string} message - description of the problem
+ */
+function unverified(options, message) {
+  if (!options.allowUnverified) {
+    throw new BackupError('BackupFileDecryptionError', message);
+  }
+  console.warn(`WARNING: ${message}`);
+}
+
+/**
+ * Create a function to decrypt a backup file. Backup files that are not
+ * encrypted are passed through.
+ *
+ * @param {object} options - restore configuration with the encryptionKeyFile or encryptionPassphrase
+ * @returns {function} async generator function(source) yielding the decrypted backup file bytes
+ */
+function decrypt(options = {}) {
+  return async function * (source) {
+    const reader = new ChunkReader(source);
+    if (!await readPreamble(reader, 0)) {
+      yield * reader.rest();
+      return;
+    }
+    // Keys derived for each preamble, resumed backups with a passphrase use a new salt
+    const keys = new Map();
+    // The frames after the current preamble
+    let frames;
+    while (await reader.fill(1)) {
+      if (frames && frames.final) {
+        throw new BackupError('BackupFileDecryptionError', `Error at byte ${reader.position} of backup file - data after the final encrypted frame`);
+      }
+      const next = await readPreamble(reader, 0);
+      if (next) {
+        const { fileId, segment } = next.params;
+        if (!frames) {
+          if (segment !== 0) {
+            unverified(options, `The encrypted backup file is incomplete, it starts with segment ${segment} instead of the first segment.`);
+          }
+        } else if (fileId !== frames.fileId || segment !== frames.segment + 1) {
+          // Only the next segment of the same backup file resumes the frames without a final frame
+          unverified(options, `The encrypted backup file is incomplete, the frames before byte ${reader.position} do not end with the final encrypted frame.`);
+        } else {
+          debug(`Frames end without a final frame at byte ${reader.position} of backup file, the backup was resumed.`);
+        }
+        const { kdf, salt, N, r, p } = next.params;
+        const paramsJson = JSON.stringify({ kdf, salt, N, r, p, keyId: next.params.keyId });
+        if (!keys.has(paramsJson)) {
+          if (next.params.kdf === 'none' ? !options.encryptionKeyFile : !options.encryptionPassphrase) {
+            throw new BackupError('EncryptionKeyAbsent', `The backup file is encrypted with a ${next.params.kdf === 'none' ? 'key file, use the encryptionKeyFile' : 'passphrase, use the encryptionPassphrase'} option to decrypt it.`);
+          }
+          const derived = await encryptionKey(options, next.params);
+          if (keyId(derived) !== next.params.keyId) {
+            throw new BackupError('EncryptionKeyMismatch', `The backup file was encrypted with a different key, key ID ${next.params.keyId}.`);
+          }
+          keys.set(paramsJson, derived);
+        }
+        frames = { preamble: next.preamble, key: keys.get(paramsJson), fileId, segment, index: 0, final: false };
+        reader.skip(next.preamble.length);
+        continue;
+      }
+      const frame = await readFrame(reader, frames);
+      if (frame) {
+        frames.index++;
+        frames.final = frame.final;
+        yield frame.data;
+        continue;
+      }
+      const offset = await findResumedPreamble(reader);
+      if (offset === -1) {
+        if (await isIncompleteFrame(reader)) {
+          // An incomplete frame at the end of the backup file
+          break;
+        }
+        throw new BackupError('BackupFileDecryptionError', `Error at byte ${reader.position} of backup file - cannot decrypt`);
+      }
+      debug(`Skipped ${offset} bytes of an incomplete frame at byte ${reader.position} of backup file.`);
+      reader.skip(offset);
+    }
+    if (!frames.final) {
+      unverified(options, 'The encrypted backup file is incomplete, it does not end with the final encrypted frame.');
+    }
+  };
+}
+
+module.exports = {
+  decrypt,
+  EncryptingWritable,
+  validateEncryptionKeyFile
+};
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -24,11 +24,26 @@ const codes = {
   LogDoesNotExist: 21,
   IncompleteChangesInLogFile: 22,
   LogFileExists: 23,
+  BackupFileExists: 24,
   SpoolChangesError: 30,
+  LocalDocsError: 31,
   HTTPFatalError: 40,
   BulkGetError: 50,
   AttachmentsNotEnabledError: 60,
-  AttachmentsMetadataAbsent: 61
+  AttachmentsMetadataAbsent: 61,
+  AttachmentsDirAbsent: 62,
+  AttachmentFileNotFound: 63,
+  AttachmentDigestMismatch: 64,
+  AttachmentDigestsUnverifiable: 65,
+  BackupChainError: 70,
+  VolumeSetError: 71,
+  BackupFileIncomplete: 72,
+  BackupFileCompressionError: 73,
+  DatabasesFailed: 80,
+  SecurityMetadataAbsent: 90,
+  EncryptionKeyAbsent: 100,
+  EncryptionKeyMismatch: 101,
+  BackupFileDecryptionError: 102
 };
 
 class BackupError extends Error {
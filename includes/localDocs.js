@@ -0,0 +1,107 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { BackupError } = require('./error.js');
+const debug = require('debug')('couchbackup:localdocs');
+
+/**
+ * Async generator function for paginating _local_docs, which neither
+ * _changes nor _all_docs include. The SDK does not have an operation for
+ * _local_docs so the request is made directly.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} options - backup configuration
+ * @yields {array} a page of local documents [{_id: _local/id, ...}, ...]
+ */
+async function * localDocsGenerator(dbClient, options) {
+  let startKey = null;
+  let lastPage = false;
+  do {
+    const body = { include_docs: true, limit: options.bufferSize };
+    if (startKey) body.start_key = startKey;
+    const response = await dbClient.service.createRequest({
+      options: {
+        url: '/{db}/_local_docs',
+        method: 'POST',
+        path: { db: dbClient.dbName },
+        body
+      },
+      defaultOptions: {
+        ...dbClient.service.baseOptions,
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' }
+      }
+    });
+    if (!(response.result && response.result.rows)) {
+      throw new BackupError('LocalDocsError', 'Invalid local docs response');
+    }
+    const rows = response.result.rows;
+    debug(`Received ${rows.length} local docs from start key '${startKey}'`);
+    lastPage = rows.length < body.limit;
+    if (rows.length > 0) {
+      // Start the next page after the last ID of this page
+      startKey = `${rows[rows.length - 1].id}\0`;
+      yield rows.map(row => row.doc);
+    }
+  } while (!lastPage);
+}
+
+/**
+ * Write the local documents of a database to a backup file as
+ * `{"localDocs": [...]}` record lines.
+ *
+ * @param {object} dbClient - object for connection to source database containing name, service and url
+ * @param {object} options - backup configuration
+ * @param {Writable} targetStream - destination for the backup contents
+ * @returns {Promise<number>} the number of local documents written
+ */
+async function backupLocalDocs(dbClient, options, targetStream) {
+  let total = 0;
+  for await (const localDocs of localDocsGenerator(dbClient, options)) {
+    await new Promise((resolve, reject) => {
+      targetStream.write(`${JSON.stringify({ localDocs })}\n`, 'utf-8', (err) => {
+        if (err) { reject(err); } else { resolve(); }
+      });
+    });
+    total += localDocs.length;
+  }
+  debug(`Backed up ${total} local docs.`);
+  return total;
+}
+
+/**
+ * Restore local documents to a new database.
+ *
+ * @param {object} dbClient - object for connection to target database containing name, service and url
+ * @param {array} localDocs - local documents read from the backup file
+ * @returns {Promise<number>} the number of local documents restored
+ */
+async function restoreLocalDocs(dbClient, localDocs) {
+  for (const localDoc of localDocs) {
+    // Local documents are not replicated, so the revision is not kept
+    const { _rev, ...document } = localDoc;
+    await dbClient.service.putLocalDocument({
+      db: dbClient.dbName,
+      docId: localDoc._id.replace(/^_local\//, ''),
+      document
+    });
+  }
+  debug(`Restored ${localDocs.length} local docs.`);
+  return localDocs.length;
+}
+
+module.exports = {
+  backupLocalDocs,
+  localDocsGenerator,
+  restoreLocalDocs
+};
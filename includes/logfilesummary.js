@@ -1,4 +1,4 @@
-// Copyright © 2017, 2023 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -22,7 +22,11 @@ const { MappingStream } = require('./transforms.js');
 /**
  * Generate a list of remaining batches from a download file.
  * Creates a summary containing a changesComplete boolean for
- * if the :changes_complete log file entry was found and a map
+ * if the :changes_complete log file entry was found, the lastSeq
+ * recorded by that entry, the sequence of the last :checkpoint entry,
+ * the highest batch number, a map of the last state of each shallow
+ * backup range from the :r entries, the last encrypted segment of the
+ * backup file from the :encryption entries and a map
  * of pending batch numbers that have yet to be backed up
  * (i.e. the difference of :t and :d log file entries).
  *
@@ -31,7 +35,12 @@ const { MappingStream } = require('./transforms.js');
  */
 module.exports = async function(log) {
   const logMapper = new LogMapper();
-  const state = { changesComplete: false, batches: new Map() };
+  const state = { changesComplete: false, batches: new Map(), ranges: new Map() };
+  const updateLastBatch = (batch) => {
+    if (typeof state.lastBatch === 'undefined' || batch > state.lastBatch) {
+      state.lastBatch = batch;
+    }
+  };
 
   await pipeline(
     createReadStream(log), // read the log file
@@ -43,12 +52,25 @@ module.exports = async function(log) {
         switch (metadata.command) {
           case 't':
             state.batches.set(metadata.batch, true);
+            updateLastBatch(metadata.batch);
             break;
           case 'd':
             state.batches.delete(metadata.batch);
+            // Shallow backups have no :t entries
+            updateLastBatch(metadata.batch);
+            break;
+          case 'r':
+            state.ranges.set(metadata.range, metadata.rangeState);
             break;
           case 'changes_complete':
             state.changesComplete = true;
+            state.lastSeq = metadata.lastSeq;
+            break;
+          case 'checkpoint':
+            state.checkpoint = metadata.lastSeq;
+            break;
+          case 'encryption':
+            state.encryptionSegment = metadata.encryptionSegment;
             break;
           default:
             break;
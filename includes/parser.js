@@ -26,48 +26,121 @@ const backupProgram = new Command()
   .version(pkg.version)
   .description('Backup a CouchDB/Cloudant database to a backup text file.')
   .usage('[options...]')
+  .option('--all-dbs',
+    cliutils.getUsage('back up all the databases except the system databases into the output directory'))
   .option('-a, --attachments',
     cliutils.getUsage('*EXPERIMENTAL/UNSUPPORTED*: enable backup of attachments', defaults.attachments))
+  .option('--attachment-content-types <types>',
+    cliutils.getUsage('comma separated content types of the attachments to back up, for example image/*,text/plain; requires --attachments'))
+  .option('--attachments-dir <dir>',
+    cliutils.getUsage('directory to write the attachment data to as files instead of inline in the backup file; requires --attachments'))
   .option('-b, --buffer-size <n>',
     cliutils.getUsage('number of documents fetched at once', defaults.bufferSize),
     Number)
+  .option('--compress <type>',
+    cliutils.getUsage('compress the backup with "gzip", "brotli" or "zstd"; "brotli" backups can only be read by couchrestore; use the same compression when resuming'))
   .option('-d, --db <db>',
     cliutils.getUsage('name of the database to backup', defaults.db))
+  .option('--db-parallelism <n>',
+    cliutils.getUsage('number of databases to back up in parallel with --all-dbs or --db-pattern', 2),
+    Number)
+  .option('--db-pattern <glob>',
+    cliutils.getUsage('back up the databases with names matching the pattern ("*" matches any characters, "?" one character) into the output directory'))
+  .option('--encrypt',
+    cliutils.getUsage('encrypt the backup with AES-256-GCM using --encryption-key-file or the COUCH_ENCRYPTION_PASSPHRASE environment variable'))
+  .option('--encryption-key-file <file>',
+    cliutils.getUsage('file containing a 256-bit key as 32 bytes or 64 hexadecimal characters to encrypt the backup with'),
+    path.normalize)
+  .option('--end-key <id>',
+    cliutils.getUsage('document ID to end a "shallow" mode backup at (inclusive); invalid in other modes'))
+  .option('--format <format>',
+    cliutils.getUsage('"ndjson" to write each document on its own line, "tar" to write a tar archive with a file for each document and attachment, else "json" to write each batch of documents as a JSON array on a line; use the same format when resuming', 'json'),
+    (format) => { return format.toLowerCase(); })
   .option('-k, --iam-api-key <API key>',
     cliutils.getUsage('IAM API key to access the Cloudant server'))
+  .option('--id-prefix <prefix>',
+    cliutils.getUsage('back up only documents with IDs starting with the prefix in "shallow" mode; invalid in other modes'))
+  .option('--local-docs',
+    cliutils.getUsage('include the _local documents, which are not replicated, in the backup'))
   .option('-l, --log <file>',
-    cliutils.getUsage('file to store logging information during backup; invalid in "shallow" mode', 'a temporary file'),
+    cliutils.getUsage('file to store logging information during backup', 'a temporary file'),
     path.normalize)
+  .option('--max-attachment-size <bytes>',
+    cliutils.getUsage('size in bytes of the largest attachment to back up; requires --attachments'),
+    Number)
+  .option('--max-volume-size <size>',
+    cliutils.getUsage('maximum size of the volume files to split the --output backup file into, in bytes or with a KB, MB, GB or TB suffix, for example 5GB'),
+    parseSize)
   .option('-m, --mode <mode>',
-    cliutils.getUsage('"shallow" if only a superficial backup is done (ignoring conflicts and revision tokens), else "full" for complete backup', defaults.mode),
+    cliutils.getUsage('"shallow" if only a superficial backup is done (ignoring conflicts and revision tokens), "continuous" to keep backing up new changes until interrupted, else "full" for complete backup', defaults.mode),
     (mode) => { return mode.toLowerCase(); })
   .option('-o, --output <file>',
     cliutils.getUsage('file name to store the backup data', 'stdout'),
     path.normalize)
+  .option('--output-dir <dir>',
+    cliutils.getUsage('directory to store a backup file and a log file for each database with --all-dbs or --db-pattern'),
+    path.normalize)
   .option('-p, --parallelism <n>',
-    cliutils.getUsage('number of HTTP requests to perform in parallel when performing a backup; ignored in "shallow" mode', defaults.parallelism),
+    cliutils.getUsage('number of HTTP requests to perform in parallel when performing a backup; in "shallow" mode the number of document ID ranges to back up in parallel', defaults.parallelism),
     Number)
+  .option('--partition <partition key>',
+    cliutils.getUsage('back up only the documents in a partition of a partitioned database'))
   .option('-q, --quiet',
     cliutils.getUsage('suppress batch messages', defaults.quiet))
   .option('-r, --resume',
-    cliutils.getUsage('continue a previous backup from its last known position; invalid in "shallow" mode', defaults.resume))
+    cliutils.getUsage('continue a previous backup from its last known position', defaults.resume))
+  .option('--revs',
+    cliutils.getUsage('back up the revision history of the current revision of each document in a "shallow" backup; invalid in other modes'))
+  .option('--revs-limit <n>',
+    cliutils.getUsage('number of the most recent revision IDs to keep in the revision history of each document; ignored in "shallow" mode without --revs'),
+    Number)
+  .option('-s, --selector <json>',
+    cliutils.getUsage('Mango selector JSON to back up only the matching documents; invalid in "shallow" mode'),
+    parseSelector)
+  .option('--since <seq|file>',
+    cliutils.getUsage('update sequence, or a previous backup file, to back up only the changes since; invalid in "shallow" mode'))
+  .option('--start-key <id>',
+    cliutils.getUsage('document ID to start a "shallow" mode backup from; invalid in other modes'))
   .option('-t, --request-timeout <n>',
     cliutils.getUsage('milliseconds to wait for a response to a HTTP request before retrying the request', defaults.requestTimeout),
     Number)
   .option('-u, --url <url>',
-    cliutils.getUsage('URL of the CouchDB/Cloudant server', defaults.url));
+    cliutils.getUsage('URL of the CouchDB/Cloudant server', defaults.url))
+  .option('--verify-attachments',
+    cliutils.getUsage('check the MD5 digest of each attachment fetched; requires --attachments'));
 
 const restoreProgram = new Command()
   .version(pkg.version)
   .description('Restore a CouchDB/Cloudant database from a backup text file.')
-  .usage('[options...]')
+  .usage('[options...] [files...]')
+  .argument('[files...]', 'backup files to restore in order, for example a full backup followed by incremental backups', 'stdin')
+  .option('--allow-unverified',
+    cliutils.getUsage('warn instead of failing when a backup file does not end with a trailer, the trailer does not match the backup file, or an encrypted backup file does not end with its final frame'))
   .option('-a, --attachments',
     cliutils.getUsage('*EXPERIMENTAL/UNSUPPORTED*: enable restore of attachments', defaults.attachments))
+  .option('--attachments-dir <dir>',
+    cliutils.getUsage('directory to read the attachment files of the backup from; requires --attachments'))
   .option('-b, --buffer-size <n>',
     cliutils.getUsage('number of documents restored at once', defaults.bufferSize),
     Number)
+  .option('-c, --create',
+    cliutils.getUsage('create the database to restore to if it does not exist, with the properties of the backed up database'))
   .option('-d, --db <db>',
     cliutils.getUsage('name of the new, existing database to restore to', defaults.db))
+  .option('--db-map <json>',
+    cliutils.getUsage('JSON object mapping backed up database names to the database names to restore to with --from-dir'),
+    parseDbNameMap)
+  .option('--db-parallelism <n>',
+    cliutils.getUsage('number of databases to restore in parallel with --from-dir', 2),
+    Number)
+  .option('--db-prefix <prefix>',
+    cliutils.getUsage('prefix for the names of the databases to restore to with --from-dir'))
+  .option('--encryption-key-file <file>',
+    cliutils.getUsage('file containing the 256-bit key to decrypt an encrypted backup with; a passphrase is read from the COUCH_ENCRYPTION_PASSPHRASE environment variable'),
+    path.normalize)
+  .option('--from-dir <dir>',
+    cliutils.getUsage('restore each backup file in the directory to a database named after the file, creating missing databases'),
+    path.normalize)
   .option('-k, --iam-api-key <API key>',
     cliutils.getUsage('IAM API key to access the Cloudant server'))
   .option('-p, --parallelism <n>',
@@ -75,11 +148,68 @@ const restoreProgram = new Command()
     Number)
   .option('-q, --quiet',
     cliutils.getUsage('suppress batch messages', defaults.quiet))
+  .option('--restore-security',
+    cliutils.getUsage('apply the database security and revision limit recorded in the backup file after restoring the documents'))
+  .option('--revs-limit <n>',
+    cliutils.getUsage('number of the most recent revision IDs to keep in the revision history of each document'),
+    Number)
   .option('-t, --request-timeout <n>',
     cliutils.getUsage('milliseconds to wait for a response to a HTTP request before retrying the request', defaults.requestTimeout),
     Number)
+  .option('--until <timestamp>',
+    cliutils.getUsage('restore a chain of backup files only up to the backups taken at or before the date and time'))
+  .option('--until-seq <seq>',
+    cliutils.getUsage('restore a chain of backup files only up to the backup ending at the update sequence'))
   .option('-u, --url <url>',
-    cliutils.getUsage('URL of the CouchDB/Cloudant server', defaults.url));
+    cliutils.getUsage('URL of the CouchDB/Cloudant server', defaults.url))
+  .option('--verify-attachments',
+    cliutils.getUsage('check the MD5 digest of each attachment before restoring it; requires --attachments'))
+  .option('--winners-only',
+    cliutils.getUsage('restore only the winning revision of each document with conflicting revisions'));
+
+/**
+ * Parse a JSON Mango selector command-line argument.
+ *
+ * @param {string} json - the selector JSON string
+ * @returns {object} the parsed selector
+ */
+function parseSelector(json) {
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new error.OptionError(`Invalid selector option, must be valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Parse a size command-line argument in bytes, or with a KB, MB, GB or TB
+ * suffix for multiples of 1024 bytes.
+ *
+ * @param {string} size - the size string, for example 5GB
+ * @returns {number} the size in bytes
+ */
+function parseSize(size) {
+  const match = /^(\d+)\s*([KMGT]?B)?$/i.exec(size.trim());
+  if (!match) {
+    throw new error.OptionError(`Invalid size ${size}, must be a number of bytes with an optional KB, MB, GB or TB suffix`);
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  return parseInt(match[1]) * Math.pow(1024, units.indexOf((match[2] || 'B').toUpperCase()));
+}
+
+/**
+ * Parse a JSON database name map command-line argument.
+ *
+ * @param {string} json - the database name map JSON string
+ * @returns {object} the parsed database name map
+ */
+function parseDbNameMap(json) {
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new error.OptionError(`Invalid db map option, must be valid JSON: ${err.message}`);
+  }
+}
 
 function parseBackupArgs() {
   // Options set by environment variables
@@ -91,15 +221,16 @@ function parseBackupArgs() {
   // Remove defaults that don't apply when using shallow mode
   if (backupProgram.opts().mode === 'shallow' || envVarOptions.mode === 'shallow') {
     delete defaults.parallelism;
-    delete defaults.log;
-    delete defaults.resume;
   }
 
   // Apply the options in order so that the CLI overrides env vars and env variables
   // override defaults.
   const opts = Object.assign({}, defaults, envVarOptions, backupProgram.opts());
 
-  if (opts.resume && (opts.log === defaults.log)) {
+  if (opts.allDbs || typeof opts.dbPattern !== 'undefined') {
+    // Backing up multiple databases uses a log file for each database in the output directory
+    delete opts.log;
+  } else if (opts.resume && (opts.log === defaults.log)) {
     // If resuming and the log file arg is the newly generated tmp name from defaults then we know that --log wasn't specified.
     // We have to do this check here for the CLI case because of the default.
     error.terminationCallback(new error.BackupError('NoLogFileName', 'To resume a backup, a log file must be specified'));
@@ -120,6 +251,13 @@ function parseRestoreArgs() {
   // Apply the options in order so that the CLI overrides env vars and env variables
   // override defaults.
   const opts = Object.assign({}, defaults, envVarOptions, restoreProgram.opts());
+  // Backup files to restore, otherwise stdin is used
+  if (restoreProgram.args.length > 0) {
+    if (typeof opts.fromDir !== 'undefined') {
+      throw new error.OptionError('Invalid files, backup files cannot be restored with the --from-dir option');
+    }
+    opts.files = restoreProgram.args.map(path.normalize);
+  }
 
   return opts;
 }
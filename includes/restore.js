@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -13,8 +13,14 @@
 // limitations under the License.
 
 const debug = require('debug')('couchbackup:restore');
-const { Attachments } = require('./attachmentMappings.js');
+const { AttachmentFiles, Attachments } = require('./attachmentMappings.js');
+const { decompress } = require('./compression.js');
+const { decrypt } = require('./encryption.js');
+const { untar } = require('./tar.js');
+const { applyDatabaseMetadata } = require('./databaseMetadata.js');
+const { BackupError } = require('./error.js');
 const { Liner } = require('./liner.js');
+const { restoreLocalDocs } = require('./localDocs.js');
 const { Restore } = require('./restoreMappings.js');
 const { BatchingStream, MappingStream } = require('./transforms.js');
 const { Writable } = require('node:stream');
@@ -30,7 +36,7 @@ const { pipeline } = require('node:stream/promises');
  * @returns a promise that resolves when the restore is complete or rejects if it errors
  */
 module.exports = function(dbClient, options, readstream, ee) {
-  const restore = new Restore(dbClient, options);
+  const restore = new Restore(dbClient, options, ee);
   const start = new Date().getTime(); // restore start time
   let total = 0; // the total restored
 
@@ -50,8 +56,16 @@ module.exports = function(dbClient, options, readstream, ee) {
 
   const batchPreparationStreams = [
     readstream, // the backup file
+    decrypt(options), // decrypt an encrypted backup file
+    decompress, // detect and decompress a compressed backup file
+    untar, // detect and convert the entries of a tar format backup file to lines
     new Liner(true), // line by line (for Node.js 24 compatibility santize unicode line separators)
     new MappingStream(restore.backupLineToDocsArray), // convert line to a docs array
+    async function * (docsArrays) {
+      yield * docsArrays;
+      // the winning revision of the last document of a ndjson backup file
+      yield restore.flushRevisions();
+    },
     new BatchingStream(options.bufferSize, true), // make new arrays of the correct buffer size
     new MappingStream(restore.docsToRestoreBatch) // make a restore batch
   ];
@@ -66,12 +80,38 @@ module.exports = function(dbClient, options, readstream, ee) {
       new MappingStream(new Attachments().decode, options.parallelism)
     );
   }
+  if (options.attachmentsDir) {
+    mappingStreams.push(
+      new MappingStream(new AttachmentFiles(options.attachmentsDir).read, options.parallelism)
+    );
+  }
+  if (options.attachments && options.verifyAttachments) {
+    mappingStreams.push(
+      new MappingStream(new Attachments(ee).verify, options.parallelism)
+    );
+  }
 
   return pipeline(
     ...batchPreparationStreams,
     ...mappingStreams,
     ...restoreStreams
-  ).then(() => {
+  ).then(async () => {
+    // Fail for an incomplete backup file after restoring the documents it has
+    restore.checkTrailerRead();
+    if (options.untilSeq && !restore.untilSeqReached) {
+      throw new BackupError('BackupChainError', `No backup file ended at the sequence ${options.untilSeq} to restore until.`);
+    }
+    if (options.createDatabase) {
+      // Create the database even if there were no documents to restore
+      await restore.ensureDatabase();
+    }
+    if (restore.localDocs.size > 0) {
+      await restoreLocalDocs(dbClient, [...restore.localDocs.values()]);
+    }
+    if (options.restoreSecurity) {
+      // Apply the security last so that it cannot prevent restoring the documents
+      await applyDatabaseMetadata(dbClient, restore.backupMetadata);
+    }
     return { total };
   });
 };
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,13 +12,60 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { checkBackupChain } = require('./backupfiles.js');
+const { createDatabase } = require('./databaseMetadata.js');
 const { BackupError } = require('./error.js');
+const { trimRevisions } = require('./revisions.js');
+const { ContentDigest } = require('./trailer.js');
 const debug = require('debug');
 
 const mappingDebug = debug('couchbackup:mappings');
 const marker = '@cloudant/couchbackup:resume';
 const RESUME_COMMENT = `${JSON.stringify({ marker })}`; // Special marker for resumes
 
+/**
+ * Compare two leaf revisions of a document using the deterministic CouchDB
+ * rules for choosing the winning revision. A revision that is not deleted wins
+ * over a deleted revision, then the revision with the longest history wins,
+ * then the revision with the greatest revision hash wins.
+ *
+ * @param {object} candidate a leaf revision of a document {_id: id, _rev: rev, ...}
+ * @param {object} current another leaf revision of the same document
+ * @returns {boolean} true if the candidate revision wins over the current revision
+ */
+function winsOver(candidate, current) {
+  if (Boolean(candidate._deleted) !== Boolean(current._deleted)) {
+    return !candidate._deleted;
+  }
+  const [candidatePos, candidateHash] = candidate._rev.split('-');
+  const [currentPos, currentHash] = current._rev.split('-');
+  if (Number(candidatePos) !== Number(currentPos)) {
+    return Number(candidatePos) > Number(currentPos);
+  }
+  return candidateHash > currentHash;
+}
+
+/**
+ * Filter an array of document revisions to the winning revision of each
+ * document. The leaf revisions of a document are backed up together in
+ * the same backup line. Documents without a revision are kept.
+ *
+ * @param {array} docs array of document revisions [{_id: id, _rev: rev, ...}, ...]
+ * @returns {array} array of the winning document revisions
+ */
+function winningRevisions(docs) {
+  const winners = new Map();
+  for (const doc of docs) {
+    if (doc._rev) {
+      const current = winners.get(doc._id);
+      if (!current || winsOver(doc, current)) {
+        winners.set(doc._id, doc);
+      }
+    }
+  }
+  return docs.filter((doc) => !doc._rev || winners.get(doc._id) === doc);
+}
+
 class Restore {
   // For compatibility with old versions ignore all broken JSON by default.
   // (Old versions did not have a distinguishable resume marker).
@@ -26,10 +73,31 @@ class Restore {
   // and change the flag.
   suppressAllBrokenJSONErrors = true;
   backupMode;
+  // The format of the current backup file, json for arrays of documents or ndjson or tar for a document per line
+  backupFormat = 'json';
+  // The leaf revisions of a document read from consecutive lines of a ndjson
+  // backup file, held to restore only the winning revision
+  pendingRevisions = [];
+  // Counts and digest of the document lines read since the header or resume marker
+  // of a backup file that ends with a trailer, verified against the trailer
+  contentDigest;
+  // The metadata of the current backup file in a chain of backup files
+  backupMetadata;
+  // The last sequence of the current backup file so far, from its metadata or last trailer
+  lastSeq;
+  // Flags for the point in time to restore to
+  untilSeqReached = false;
+  untilPassed = false;
+  // Promise for creating the missing target database
+  databaseCreated;
+  // Local documents read from the backup file by ID, restored after the other documents.
+  // A later backup file in a chain replaces the local documents of an earlier file.
+  localDocs = new Map();
 
-  constructor(dbClient, options) {
+  constructor(dbClient, options, ee) {
     this.dbClient = dbClient;
     this.options = options;
+    this.ee = ee;
     this.batchCounter = 0;
   }
 
@@ -40,6 +108,13 @@ class Restore {
    * @returns {array} array of documents parsed from the line or an empty array for invalid lines
    */
   backupLineToDocsArray = (backupLine) => {
+    if (this.untilPassed) {
+      // Ignore the rest of the backup chain after the point in time
+      return [];
+    }
+    if (backupLine && backupLine.line === RESUME_COMMENT) {
+      this.startContentDigest();
+    }
     if (backupLine && backupLine.line !== '' && backupLine.line !== RESUME_COMMENT) {
       // see if it parses as JSON
       let lineAsJson;
@@ -52,8 +127,9 @@ class Restore {
           // For compatibility ignore the broken JSON line assuming it was part of a resume.
           mappingDebug(`Ignoring invalid JSON on line ${backupLine.lineNumber} of backup file as it was written by couchbackup version < 2.10.0 and could be a valid resume point.`);
           return [];
-        } else if (this.backupMode === 'full' && backupLine.line.slice(-RESUME_COMMENT.length) === RESUME_COMMENT) {
-          mappingDebug(`Ignoring invalid JSON on line ${backupLine.lineNumber} of full mode backup file as it was resumed.`);
+        } else if (['full', 'continuous', 'shallow'].includes(this.backupMode) && backupLine.line.slice(-RESUME_COMMENT.length) === RESUME_COMMENT) {
+          mappingDebug(`Ignoring invalid JSON on line ${backupLine.lineNumber} of ${this.backupMode} mode backup file as it was resumed.`);
+          this.startContentDigest();
           return [];
         } else {
           // If the backup wasn't resumed and we aren't ignoring errors then it is invalid and we should error
@@ -62,27 +138,88 @@ class Restore {
       }
       // if it's an array
       if (lineAsJson && Array.isArray(lineAsJson)) {
+        this.updateContentDigest(backupLine, lineAsJson.length);
+        if (this.options.winnersOnly) {
+          const winners = winningRevisions(lineAsJson);
+          mappingDebug(`Skipped ${lineAsJson.length - winners.length} conflicting revisions on line ${backupLine.lineNumber} of backup file.`);
+          return winners;
+        }
         return lineAsJson;
-      } else if (backupLine.lineNumber === 1 && lineAsJson.name && lineAsJson.version && lineAsJson.mode) {
-        // First line is metadata.
+      } else if (['ndjson', 'tar'].includes(this.backupFormat) && lineAsJson && typeof lineAsJson._id === 'string') {
+        // A document of a ndjson or tar backup file, the metadata and other records have no _id
+        this.updateContentDigest(backupLine, 1);
+        if (this.options.winnersOnly) {
+          // The leaf revisions of a document are on consecutive lines
+          const winners = this.pendingRevisions.length > 0 && this.pendingRevisions[0]._id !== lineAsJson._id
+            ? this.flushRevisions()
+            : [];
+          this.pendingRevisions.push(lineAsJson);
+          return winners;
+        }
+        return [lineAsJson];
+      } else if ((backupLine.lineNumber === 1 || this.backupMetadata) && lineAsJson.name && lineAsJson.version && lineAsJson.mode) {
+        // First line is metadata, later metadata lines start the next file of a chain of backup files.
         mappingDebug(`Parsed backup file metadata ${lineAsJson.name} ${lineAsJson.version} ${lineAsJson.mode} ${lineAsJson.attachments}.`);
+        // Restore the winning revision of the last document of the previous file in the chain
+        const winners = this.flushRevisions();
+        this.checkTrailerRead();
+        if (this.isAfterPointInTime(lineAsJson)) {
+          mappingDebug(`Stopping restore before backup file metadata on line ${backupLine.lineNumber}.`);
+          this.untilPassed = true;
+          return winners;
+        }
+        if (this.backupMetadata) {
+          checkBackupChain(this.lastSeq, lineAsJson);
+        }
+        this.backupMetadata = lineAsJson;
+        this.updateLastSeq(lineAsJson.lastSeq);
         // This identifies a version of 2.10.0 or newer that wrote the backup file.
-        // Set the mode that was used for the backup file.
+        // Set the mode and format that were used for the backup file.
         this.backupMode = lineAsJson.mode;
+        this.backupFormat = lineAsJson.format || 'json';
+        this.startContentDigest();
         // For newer versions we don't need to ignore all broken JSON, only ones that
         // were associated wiht a resume, so unset the ignore flag.
         this.suppressAllBrokenJSONErrors = false;
+        if (this.ee) {
+          // Let the caller know what the backup file contains
+          this.ee.emit('metadata', lineAsJson);
+        }
         // Later we may add other version/feature specific toggles here.
         if (lineAsJson.attachments === true) {
           if (!this.options.attachments) {
             // Error out if trying to restore attachments without the option
             throw new BackupError('AttachmentsNotEnabledError', 'To restore a backup file with attachments, enable the attachments option.');
           }
+          if (lineAsJson.attachmentFiles === true && !this.options.attachmentsDir) {
+            // Error out if the attachment data is in attachment files that were not specified
+            throw new BackupError('AttachmentsDirAbsent', 'To restore a backup file with attachment files, specify the attachments directory.');
+          }
+          if (this.options.verifyAttachments && lineAsJson.verifyAttachments !== true) {
+            // Without the encoding of compressed attachments their digests cannot be verified
+            throw new BackupError('AttachmentDigestsUnverifiable', 'Cannot verify the attachments because the backup file was not created with the verifyAttachments option.');
+          }
         } else {
           if (this.options.attachments) {
             throw new BackupError('AttachmentsMetadataAbsent', 'Cannot restore with attachments because the backup file was not created with the attachments option.');
           }
         }
+        if (this.options.restoreSecurity && !lineAsJson.security) {
+          // Error out before restoring any documents if the security cannot be restored
+          throw new BackupError('SecurityMetadataAbsent', 'Cannot restore the database security because the backup file does not record it.');
+        }
+        return winners;
+      } else if (Array.isArray(lineAsJson.localDocs)) {
+        mappingDebug(`Read ${lineAsJson.localDocs.length} local docs on line ${backupLine.lineNumber} of backup file.`);
+        for (const localDoc of lineAsJson.localDocs) {
+          this.localDocs.set(localDoc._id, localDoc);
+        }
+      } else if (lineAsJson.trailer && typeof lineAsJson.trailer === 'object') {
+        this.verifyTrailer(backupLine, lineAsJson.trailer);
+        if (typeof lineAsJson.trailer.lastSeq === 'string') {
+          // A continuous mode backup file records its last sequence in its trailers
+          this.updateLastSeq(lineAsJson.trailer.lastSeq);
+        }
       } else if (lineAsJson.marker && lineAsJson.marker === marker) {
         mappingDebug(`Resume marker on line  ${backupLine.lineNumber} of backup file.`);
       } else {
@@ -93,6 +230,134 @@ class Restore {
     return [];
   };
 
+  /**
+   * Take the winning revision of the document held from a ndjson backup file.
+   * Called for the end of the backup file to restore the last document.
+   *
+   * @returns {array} array of the winning revision or an empty array if no document is held
+   */
+  flushRevisions = () => {
+    const winners = winningRevisions(this.pendingRevisions);
+    this.pendingRevisions = [];
+    return winners;
+  };
+
+  /**
+   * Start the digest of the document lines after the header or a resume
+   * marker of a backup file that ends with a trailer.
+   */
+  startContentDigest() {
+    this.contentDigest = this.backupMetadata && this.backupMetadata.trailer ? new ContentDigest() : undefined;
+  }
+
+  /**
+   * Add a document line to the digest verified by the trailer.
+   *
+   * @param {object} backupLine object representation of a backup file line {lineNumber: #, line: '...'}
+   * @param {number} docs number of documents on the line
+   */
+  updateContentDigest(backupLine, docs) {
+    if (this.contentDigest) {
+      this.contentDigest.update(`${backupLine.line}\n`, docs);
+    } else if (this.backupMetadata && this.backupMetadata.trailer) {
+      this.incomplete(`Documents on line ${backupLine.lineNumber} of the backup file are after its trailer.`);
+    }
+  }
+
+  /**
+   * Verify the trailer of a backup file against the document lines read.
+   *
+   * @param {object} backupLine object representation of a backup file line {lineNumber: #, line: '...'}
+   * @param {object} trailer the trailer {docs: #, batches: #, lastSeq: seq, sha256: hex}
+   */
+  verifyTrailer(backupLine, trailer) {
+    if (!this.contentDigest) {
+      this.incomplete(`Unexpected trailer on line ${backupLine.lineNumber} of the backup file.`);
+      return;
+    }
+    const mismatch = this.contentDigest.verify(trailer);
+    this.contentDigest = undefined;
+    if (mismatch) {
+      this.incomplete(`The backup file is incomplete or corrupted, ${mismatch}.`);
+    } else {
+      mappingDebug(`Verified backup file trailer on line ${backupLine.lineNumber} for ${trailer.docs} docs.`);
+    }
+  }
+
+  /**
+   * Check that the trailer of a backup file was read, called at the end of
+   * each backup file.
+   */
+  checkTrailerRead = () => {
+    if (this.contentDigest && !this.untilPassed) {
+      this.contentDigest = undefined;
+      this.incomplete('The backup file is incomplete, it does not end with a trailer.');
+    }
+  };
+
+  /**
+   * Error for a backup file that is incomplete, or only warn with the
+   * allowUnverified option.
+   *
+   * @param {string} message description of the problem
+   */
+  incomplete(message) {
+    if (this.options.allowUnverified) {
+      console.warn(`WARNING: ${message}`);
+    } else {
+      throw new BackupError('BackupFileIncomplete', message);
+    }
+  }
+
+  /**
+   * Record the last sequence the current backup file is complete up to so
+   * far, and whether it is the sequence to restore until.
+   *
+   * @param {string} [lastSeq] the last sequence from the metadata or a trailer
+   */
+  updateLastSeq(lastSeq) {
+    this.lastSeq = lastSeq;
+    this.untilSeqReached = Boolean(this.options.untilSeq) && lastSeq === this.options.untilSeq;
+  }
+
+  /**
+   * Check if a backup file in a chain is after the point in time to restore to.
+   *
+   * @param {object} metadata backup file metadata
+   * @returns {boolean} true if the backup file should not be restored
+   */
+  isAfterPointInTime(metadata) {
+    if (this.untilSeqReached) {
+      // The previous backup file ended at the sequence to restore to
+      return true;
+    }
+    if (this.options.until) {
+      if (!metadata.timestamp) {
+        throw new BackupError('BackupChainError', 'Cannot restore until a time because the backup file does not record a timestamp.');
+      }
+      if (Date.parse(metadata.timestamp) > Date.parse(this.options.until)) {
+        if (!this.backupMetadata) {
+          throw new BackupError('BackupChainError', `The backup file timestamp ${metadata.timestamp} is after the time to restore until.`);
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Create the missing target database, once, with the properties recorded
+   * in the backup file metadata.
+   *
+   * @returns {Promise} resolves when the database is created
+   */
+  ensureDatabase = () => {
+    if (!this.databaseCreated) {
+      this.databaseCreated = createDatabase(this.dbClient, this.backupMetadata);
+    }
+    return this.databaseCreated;
+  };
+
   /**
    * Mapper to wrap an array of docs in batch metadata
    * @param {array} docs an array of documents to be restored
@@ -120,12 +385,19 @@ class Restore {
       mappingDebug(`Nothing to restore in batch ${batch}.`);
       return { batch, documents: 0 };
     }
+    if (this.options.createDatabase) {
+      // The metadata has been read before the first batch so the database can be created
+      await this.ensureDatabase();
+    }
     mappingDebug(`Restoring batch ${batch} with ${restoreBatch.docs.length} docs.`);
     // if we are restoring known revisions, we need to supply newEdits=false
     if (restoreBatch.docs[0] && restoreBatch.docs[0]._rev) {
       restoreBatch.newEdits = false;
       mappingDebug('Using newEdits false mode.');
     }
+    if (this.options.revsLimit) {
+      trimRevisions(restoreBatch.docs, this.options.revsLimit);
+    }
     try {
       const response = await this.dbClient.service.postBulkDocs({
         db: this.dbClient.dbName,
@@ -0,0 +1,35 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Trim the revision history of document revisions to the most recent
+ * revisions. The `_revisions.start` position is that of the most recent
+ * revision so it is unchanged by removing the oldest revision IDs.
+ *
+ * @param {array} docs array of document revisions [{_id: id, _rev: rev, _revisions: {start: #, ids: [...]}, ...}, ...]
+ * @param {number} revsLimit the number of revision IDs to keep
+ * @returns {array} the same array of document revisions with trimmed histories
+ */
+function trimRevisions(docs, revsLimit) {
+  for (const doc of docs) {
+    if (doc._revisions && Array.isArray(doc._revisions.ids) && doc._revisions.ids.length > revsLimit) {
+      doc._revisions.ids = doc._revisions.ids.slice(0, revsLimit);
+    }
+  }
+  return docs;
+}
+
+module.exports = {
+  trimRevisions
+};
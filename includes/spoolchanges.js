@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -15,23 +15,41 @@
 const { createWriteStream } = require('node:fs');
 const { pipeline } = require('node:stream/promises');
 const { BackupError } = require('./error.js');
-const { BatchingStream, DelegateWritable, MappingStream } = require('./transforms.js');
+const { BatchingStream, DelegateWritable, FilterStream, MappingStream, WritableWithPassThrough } = require('./transforms.js');
 const debug = require('debug')('couchbackup:spoolchanges');
 const { ChangesFollower } = require('@ibm-cloud/cloudant');
 
+// Milliseconds to wait before backing up a partial batch of changes in continuous mode
+const continuousFlushInterval = 5000;
+
 /**
  * Write log file for all changes from a database, ready for downloading
  * in batches.
  *
+ * In continuous mode the changes are followed until the signal aborts and
+ * instead of a pipeline the source streams of pending backup batches are
+ * returned so that the batches can be downloaded as the changes arrive.
+ *
  * @param {object} dbClient - object for connection to source database containing name, service and url
- * @param {string} log - path to log file to use
+ * @param {object} options - backup configuration
+ * @param {string} options.log - path to log file to use
+ * @param {number} [options.bufferSize=500] - the number of changes per batch/log line
+ * @param {object} [options.selector] - Mango selector to filter the changes
+ * @param {string} [options.partition] - partition key to limit the changes to
+ * @param {string} [options.since] - update sequence to spool the changes since
+ * @param {string} [options.mode] - `continuous` to keep following the changes
+ * @param {AbortSignal} [options.signal] - signal to stop following the changes in continuous mode
+ * @param {number} [options.firstBatch=0] - batch number to start from in continuous mode
  * @param {function} eeFn - event emitter function to call after each write
- * @param {number} bufferSize - the number of changes per batch/log line
  * @param {number} tolerance - changes follower error tolerance
+ * @returns pipeline promise or for continuous mode an array of streams
  */
-module.exports = function(dbClient, log, eeFn, bufferSize = 500, tolerance = 600000) {
-  let lastSeq;
-  let batch = 0;
+module.exports = function(dbClient, options, eeFn, tolerance = 600000) {
+  const { log, bufferSize = 500, selector, partition, since, signal, firstBatch = 0 } = options;
+  const continuous = options.mode === 'continuous';
+  // If there are no changes the backup is still complete up to the since sequence
+  let lastSeq = since;
+  let batch = firstBatch;
   let totalBuffer = 0;
 
   class LogWriter extends DelegateWritable {
@@ -64,7 +82,15 @@ module.exports = function(dbClient, log, eeFn, bufferSize = 500, tolerance = 600
   };
 
   const mapChangesBatchToBackupBatch = function(changesBatch) {
-    return { command: 't', batch: batch++, docs: mapChangesToIds(changesBatch) };
+    const backupBatch = { command: 't', batch: batch++, docs: mapChangesToIds(changesBatch) };
+    if (continuous) {
+      // Keep the sequence of the batch so it can be checkpointed once backed up
+      const lastChange = changesBatch.findLast((changeResultItem) => changeResultItem.seq);
+      if (lastChange) {
+        backupBatch.seq = lastChange.seq;
+      }
+    }
+    return backupBatch;
   };
 
   const mapBackupBatchToPendingLogLine = function(backupBatch) {
@@ -74,13 +100,70 @@ module.exports = function(dbClient, log, eeFn, bufferSize = 500, tolerance = 600
   };
 
   const changesParams = {
-    db: dbClient.dbName,
-    seqInterval: bufferSize
+    db: dbClient.dbName
   };
+  if (continuous) {
+    // Follow from the beginning by default, the follower otherwise starts from "now"
+    changesParams.since = '0';
+  } else {
+    // Only a seq per batch is needed for the changes_complete line
+    changesParams.seqInterval = bufferSize;
+  }
+  if (selector) {
+    // Only spool changes for documents matching the selector
+    changesParams.filter = '_selector';
+    changesParams.selector = selector;
+  }
+  if (since) {
+    // Only spool the changes after the since sequence for an incremental backup
+    changesParams.since = since;
+  }
+
+  // The changes feed has no partition endpoint, so filter the changes for
+  // a partition to the document IDs with the partition prefix.
+  const filterStreams = [];
+  if (partition) {
+    const partitionPrefix = `${partition}:`;
+    filterStreams.push(new FilterStream((changeResultItem) => {
+      // Keep the last seq moving for changes outside the partition too
+      if (changeResultItem.seq) {
+        lastSeq = changeResultItem.seq;
+      }
+      return changeResultItem.id.startsWith(partitionPrefix);
+    }));
+  }
 
   const changesFollower = new ChangesFollower(dbClient.service, changesParams, tolerance);
+  if (continuous) {
+    const changes = changesFollower.start(); // stream of changes from the DB until stopped
+    if (signal) {
+      const stop = () => {
+        debug('stopping following database changes');
+        changesFollower.stop();
+      };
+      if (signal.aborted) {
+        stop();
+      } else {
+        signal.addEventListener('abort', stop, { once: true });
+      }
+    }
+    return [
+      changes,
+      ...filterStreams, // filter the changes (e.g. to a partition) if required
+      new BatchingStream(bufferSize, false, 1, continuousFlushInterval), // group changes into batches, flushing partial batches while waiting
+      new MappingStream(mapChangesBatchToBackupBatch), // map a batch of ChangesResultItem to doc IDs
+      new WritableWithPassThrough(
+        'logFileChangesWriter', // name for debug
+        createWriteStream(log, { flags: 'a' }), // log file write stream (append mode)
+        null, // no last chunk, the changes are never complete
+        mapBackupBatchToPendingLogLine, // map the changes batch to a log line
+        eeFn // postWrite function to emit the 'batch' event
+      ) // WritableWithPassThrough writes the pending batch log lines and passes the batches on to be fetched
+    ];
+  }
   return pipeline(
     changesFollower.startOneOff(), // stream of changes from the DB
+    ...filterStreams, // filter the changes (e.g. to a partition) if required
     new BatchingStream(bufferSize), // group changes into bufferSize batches for mapping
     new MappingStream(mapChangesBatchToBackupBatch), // map a batch of ChangesResultItem to doc IDs
     new LogWriter(log)
@@ -0,0 +1,358 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { ChunkReader } = require('./chunkReader.js');
+const { WrappingWritable } = require('./transforms.js');
+const debug = require('debug')('couchbackup:tar');
+
+// A tar format backup file is a ustar archive with an entry for each line of
+// the backup file. The metadata is the manifest.json entry, each document is
+// a docs/<encoded-id>.json entry preceded by an entry for the raw data of each
+// of its attachments and the trailer is the trailer.json entry followed by the
+// end of the archive. Names longer than the ustar name field use a PAX
+// extended header. Restore turns the entries back into the backup file lines.
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(2 * BLOCK_SIZE);
+const USTAR_MAGIC = Buffer.from('ustar\0', 'latin1');
+
+/**
+ * @param {Buffer} header - header block
+ * @returns {number} the checksum of the header, with the checksum field as spaces
+ */
+function headerChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += (i >= 148 && i < 156) ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * @param {Buffer} header - header block to write the field to
+ * @param {number} offset - offset of the field
+ * @param {number} length - length of the field including the terminating NUL
+ * @param {number} value - value to write as octal
+ */
+function writeOctal(header, offset, length, value) {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'latin1');
+}
+
+/**
+ * @param {Buffer} data - entry content
+ * @returns {Buffer} the padding to the end of the last block of the content
+ */
+function padding(data) {
+  return Buffer.alloc((BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+/**
+ * Make a PAX extended header record, where the length includes itself.
+ *
+ * @param {string} key - record keyword
+ * @param {string} value - record value
+ * @returns {string} the record
+ */
+function paxRecord(key, value) {
+  const content = ` ${key}=${value}\n`;
+  const contentLength = Buffer.byteLength(content);
+  let length = contentLength + String(contentLength).length;
+  while (length !== contentLength + String(length).length) {
+    length = contentLength + String(length).length;
+  }
+  return `${length}${content}`;
+}
+
+/**
+ * @param {string} name - entry name, at most 100 bytes
+ * @param {number} size - content length
+ * @param {string} type - entry type flag
+ * @returns {Buffer} the ustar header block
+ */
+function headerBlock(name, size, type) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  // Only whole characters of a long name are written
+  header.write(name, 0, 100, 'utf-8');
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(Date.now() / 1000));
+  header.write(type, 156, 1, 'latin1');
+  USTAR_MAGIC.copy(header, 257);
+  header.write('00', 263, 2, 'latin1');
+  header.write(`${headerChecksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'latin1');
+  return header;
+}
+
+/**
+ * Make a tar entry, preceded by a PAX extended header if the name does not
+ * fit in the ustar header.
+ *
+ * @param {string} name - entry name
+ * @param {Buffer} data - entry content
+ * @returns {Buffer[]} the blocks of the entry
+ */
+function tarEntry(name, data) {
+  const blocks = [];
+  if (Buffer.byteLength(name) > 100) {
+    const pax = Buffer.from(paxRecord('path', name), 'utf-8');
+    // The truncated ustar name is only used by tools that do not understand PAX headers
+    blocks.push(headerBlock('PaxHeader', pax.length, 'x'), pax, padding(pax));
+  }
+  blocks.push(headerBlock(name, data.length, '0'), data, padding(data));
+  return blocks;
+}
+
+/**
+ * Make the tar entries for a document, the raw data of each of its inline
+ * attachments followed by the document with attachment stubs in place of the
+ * data. Leaf revisions of a document after the first are named with their
+ * revision.
+ *
+ * @param {object} doc - document with base64 attachment data
+ * @param {string} name - encoded document name, with the revision for conflicting revisions
+ * @returns {Buffer[]} the blocks of the entries
+ */
+function docEntries(doc, name) {
+  const blocks = [];
+  if (doc._attachments) {
+    for (const [attachmentName, attachment] of Object.entries(doc._attachments)) {
+      if (typeof attachment.data === 'string') {
+        blocks.push(...tarEntry(`attachments/${name}/${encodeURIComponent(attachmentName)}`, Buffer.from(attachment.data, 'base64')));
+        // Keep the key order so restore makes the same document line
+        doc._attachments[attachmentName] = Object.fromEntries(Object.entries(attachment)
+          .map(([key, value]) => key === 'data' ? ['stub', true] : [key, value]));
+      }
+    }
+  }
+  blocks.push(...tarEntry(`docs/${name}.json`, Buffer.from(JSON.stringify(doc), 'utf-8')));
+  return blocks;
+}
+
+class TarWritable extends WrappingWritable {
+  /**
+   * A Writable that converts the lines of a backup file written to it to tar
+   * entries and writes them to another writable. Each chunk must be whole
+   * lines. The write callback is called when the entries are written so that
+   * the log file only records batches as done when they are in the backup file.
+   *
+   * @param {Writable} targetWritable - the Writable stream to write the archive to
+   */
+  constructor(targetWritable) {
+    super('tar', targetWritable, { decodeStrings: false });
+  }
+
+  async wrapChunk(chunk) {
+    return Buffer.concat(this.entries(Buffer.isBuffer(chunk) ? chunk.toString('utf-8') : chunk));
+  }
+
+  /**
+   * @param {string} lines - backup file lines
+   * @returns {Buffer[]} the blocks of the tar entries for the lines
+   */
+  entries(lines) {
+    const blocks = [];
+    let previousId;
+    for (const line of lines.split('\n')) {
+      if (line === '') {
+        continue;
+      }
+      const record = JSON.parse(line);
+      if (typeof record._id === 'string') {
+        const name = encodeURIComponent(record._id);
+        blocks.push(...docEntries(record, record._id === previousId ? `${name}@${encodeURIComponent(record._rev)}` : name));
+        previousId = record._id;
+      } else if (record.trailer && typeof record.trailer === 'object') {
+        blocks.push(...tarEntry('trailer.json', Buffer.from(line, 'utf-8')), END_OF_ARCHIVE);
+      } else if (Array.isArray(record.localDocs)) {
+        for (const localDoc of record.localDocs) {
+          blocks.push(...tarEntry(`local/${encodeURIComponent(localDoc._id)}.json`, Buffer.from(JSON.stringify(localDoc), 'utf-8')));
+        }
+      } else if (record.marker) {
+        blocks.push(...tarEntry('resume.json', Buffer.from(line, 'utf-8')));
+      } else {
+        blocks.push(...tarEntry('manifest.json', Buffer.from(line, 'utf-8')));
+      }
+    }
+    return blocks;
+  }
+}
+
+/**
+ * Read a tar header block.
+ *
+ * @param {Buffer} block - header block
+ * @returns {object|null} the header {name, size, type} or null if it is not a valid header
+ */
+function readHeader(block) {
+  if (block.length < BLOCK_SIZE || !block.subarray(257, 262).equals(USTAR_MAGIC.subarray(0, 5))) {
+    return null;
+  }
+  const field = (offset, length) => {
+    const value = block.subarray(offset, offset + length);
+    const end = value.indexOf(0);
+    return value.subarray(0, end === -1 ? length : end).toString('utf-8');
+  };
+  if (parseInt(field(148, 8).trim(), 8) !== headerChecksum(block)) {
+    return null;
+  }
+  const prefix = field(345, 155);
+  const name = field(0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(field(124, 12).trim() || '0', 8),
+    type: field(156, 1) || '0'
+  };
+}
+
+/**
+ * @param {Buffer} data - PAX extended header content
+ * @returns {object} the PAX records by keyword
+ */
+function readPaxRecords(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf-8', offset, space));
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = data.toString('utf-8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Convert the entries of a tar format backup file to the backup file lines,
+ * detecting the tar format from the first header. Other backup files are
+ * passed through.
+ *
+ * @param {AsyncIterable} source - the backup file bytes
+ * @yields {Buffer} the backup file lines
+ */
+async function * untar(source) {
+  const reader = new ChunkReader(source);
+  if (!await reader.fill(BLOCK_SIZE) || !readHeader(reader.bytes(BLOCK_SIZE))) {
+    yield * reader.rest();
+    return;
+  }
+  // Attachment data read since the last document entry, by attachment name
+  let attachments = new Map();
+  let pax = {};
+  while (await reader.fill(BLOCK_SIZE)) {
+    const header = readHeader(reader.bytes(BLOCK_SIZE));
+    if (!header) {
+      if (reader.bytes(BLOCK_SIZE).equals(END_OF_ARCHIVE.subarray(0, BLOCK_SIZE))) {
+        // The end of the archive, entries can follow if the backup was resumed
+        reader.skip(BLOCK_SIZE);
+        continue;
+      }
+      // Skip a truncated entry of an interrupted backup to the entries of the resumed backup
+      const next = nextHeader(reader.bytes(reader.length), 1);
+      if (next === -1) {
+        debug(`Ignoring ${reader.length} bytes of an incomplete entry at the end of the backup file at byte ${reader.position}.`);
+        return;
+      }
+      debug(`Skipped ${next} bytes of an incomplete entry at byte ${reader.position} of backup file.`);
+      reader.skip(next);
+      continue;
+    }
+    const length = BLOCK_SIZE + Math.ceil(header.size / BLOCK_SIZE) * BLOCK_SIZE;
+    // Read ahead to the next header to check the entry was not truncated by an interrupted backup
+    await reader.fill(length + BLOCK_SIZE);
+    const buffered = reader.bytes(Math.min(reader.length, length + BLOCK_SIZE));
+    const following = buffered.subarray(length);
+    if (buffered.length < BLOCK_SIZE + header.size ||
+      (following.length === BLOCK_SIZE && !readHeader(following) && !following.equals(END_OF_ARCHIVE.subarray(0, BLOCK_SIZE)))) {
+      const next = nextHeader(buffered, 1);
+      if (next === -1) {
+        debug(`Ignoring ${buffered.length} bytes of an incomplete entry at the end of the backup file at byte ${reader.position}.`);
+        return;
+      }
+      debug(`Skipped ${next} bytes of an incomplete entry at byte ${reader.position} of backup file.`);
+      reader.skip(next);
+      continue;
+    }
+    const data = Buffer.from(buffered.subarray(BLOCK_SIZE, BLOCK_SIZE + header.size));
+    reader.skip(length);
+    const name = pax.path || header.name;
+    if (header.type === 'x') {
+      pax = readPaxRecords(data);
+      continue;
+    }
+    pax = {};
+    if (header.type !== '0') {
+      debug(`Ignoring tar entry ${name} of type ${header.type}.`);
+    } else if (name.startsWith('attachments/')) {
+      attachments.set(decodeURIComponent(name.slice(name.lastIndexOf('/') + 1)), data);
+    } else if (name.startsWith('docs/')) {
+      yield Buffer.from(`${docLine(data, attachments)}\n`, 'utf-8');
+      attachments = new Map();
+    } else if (name.startsWith('local/')) {
+      yield Buffer.from(`${JSON.stringify({ localDocs: [JSON.parse(data.toString('utf-8'))] })}\n`, 'utf-8');
+    } else {
+      // manifest.json, resume.json and trailer.json are backup file lines
+      yield Buffer.concat([data, Buffer.from('\n')]);
+    }
+  }
+}
+
+/**
+ * Find the next valid tar header in the buffered bytes.
+ *
+ * @param {Buffer} buffered - buffered bytes
+ * @param {number} start - offset to search from
+ * @returns {number} the offset of the header or -1 if there is none
+ */
+function nextHeader(buffered, start) {
+  for (let offset = buffered.indexOf(USTAR_MAGIC.subarray(0, 5), start + 257); offset !== -1; offset = buffered.indexOf(USTAR_MAGIC.subarray(0, 5), offset + 1)) {
+    if (readHeader(buffered.subarray(offset - 257, offset - 257 + BLOCK_SIZE))) {
+      return offset - 257;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Make the backup file line of a document entry, replacing the attachment
+ * stubs with the base64 data of the attachment entries before it.
+ *
+ * @param {Buffer} data - document entry content
+ * @param {Map} attachments - attachment data by name
+ * @returns {string} the document line
+ */
+function docLine(data, attachments) {
+  const json = data.toString('utf-8');
+  if (attachments.size === 0) {
+    return json;
+  }
+  const doc = JSON.parse(json);
+  for (const [attachmentName, attachmentData] of attachments) {
+    const attachment = doc._attachments && doc._attachments[attachmentName];
+    if (attachment && attachment.stub) {
+      doc._attachments[attachmentName] = Object.fromEntries(Object.entries(attachment)
+        .map(([key, value]) => key === 'stub' ? ['data', attachmentData.toString('base64')] : [key, value]));
+    }
+  }
+  return JSON.stringify(doc);
+}
+
+module.exports = {
+  TarWritable,
+  untar
+};
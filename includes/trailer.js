@@ -0,0 +1,68 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { createHash } = require('node:crypto');
+
+/**
+ * A running count and SHA-256 digest of the document lines of a backup file
+ * written since its header or resume marker, recorded in the trailer that
+ * ends the backup file so that restore can tell a complete backup file from
+ * a truncated one.
+ *
+ * The digest is of the lines as restore reads them, with unicode line
+ * separators escaped.
+ */
+class ContentDigest {
+  hash = createHash('sha256');
+  docs = 0;
+  batches = 0;
+
+  /**
+   * @param {string} lines - document lines, each ending with a newline
+   * @param {number} docs - number of documents in the lines
+   */
+  update(lines, docs) {
+    this.hash.update(lines.replaceAll('\u2028', '\\u2028').replaceAll('\u2029', '\\u2029'), 'utf-8');
+    this.docs += docs;
+    this.batches++;
+  }
+
+  /**
+   * @param {string} [lastSeq] - update sequence the backup is complete up to
+   * @returns {object} the trailer {docs: #, batches: #, lastSeq: seq, sha256: hex}
+   */
+  trailer(lastSeq) {
+    return { docs: this.docs, batches: this.batches, lastSeq, sha256: this.hash.digest('hex') };
+  }
+
+  /**
+   * Compare the document lines read by restore with the trailer of the backup file.
+   *
+   * @param {object} trailer - the trailer read from the backup file
+   * @returns {string|null} a description of the mismatch or null if the trailer matches
+   */
+  verify(trailer) {
+    if (trailer.docs !== this.docs) {
+      return `the trailer records ${trailer.docs} documents but ${this.docs} were read`;
+    }
+    if (trailer.sha256 !== this.hash.digest('hex')) {
+      return 'the trailer SHA-256 digest does not match the backup file content';
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  ContentDigest
+};
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2025 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -28,6 +28,8 @@ class BatchingStream extends Duplex {
   isReadableDraining = true;
   // Flag whether the writable side is complete
   isWritableComplete = false;
+  // Flag whether a partial batch should be pushed after the flush interval
+  isFlushing = false;
 
   /**
    * Make a new BatchingStream with the given output batch
@@ -37,8 +39,9 @@ class BatchingStream extends Duplex {
    * @param {number} batchSize output batch (array) size
    * @param {boolean} rebatch true to accept arrays and resize them (defaults to false to accept single items)
    * @param {number} batchHighWaterMark the number of batches to buffer before applying upstream back-pressure
+   * @param {number} flushInterval milliseconds after which to push a partial batch (defaults to 0 to wait for a full batch)
    */
-  constructor(batchSize, rebatch = false, batchHighWaterMark = 1) {
+  constructor(batchSize, rebatch = false, batchHighWaterMark = 1, flushInterval = 0) {
     // This Duplex stream is always objectMode and doesn't use the stream
     // buffers. It does use an internal buffer of elements for batching, which
     // holds up to 1 batch in memory.
@@ -51,6 +54,32 @@ class BatchingStream extends Duplex {
     this.batchSize = batchSize;
     this.rebatch = rebatch;
     this.elementHighWaterMark = batchHighWaterMark * this.batchSize;
+    this.flushInterval = flushInterval;
+  }
+
+  /**
+   * If there is a flush interval and elements are waiting for a batch
+   * start a timer to push them as a partial batch.
+   */
+  scheduleFlush() {
+    if (this.flushInterval > 0 && !this.flushTimer && this.elementsToBatch.length > 0) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.log('Flush interval elapsed.');
+        this.isFlushing = true;
+        this.tryPushingBatches();
+      }, this.flushInterval);
+    }
+  }
+
+  /**
+   * Clear any pending flush timer.
+   */
+  clearFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
   }
 
   /**
@@ -62,7 +91,8 @@ class BatchingStream extends Duplex {
    * 1. The Readable is draining and there are at least batch size elements
    * 2. The Readable is draining and there will be no new elements (the Writable is complete)
    *    and there are any elements available.
-   * Condition 2 allows for a smaller sized partial final batch.
+   * 3. The Readable is draining and the flush interval elapsed and there are any elements available.
+   * Conditions 2 and 3 allow for a smaller sized partial batch.
    */
   tryPushingBatches() {
     this.log('Try to push batches.',
@@ -71,9 +101,12 @@ class BatchingStream extends Duplex {
      `Writable complete:${this.isWritableComplete}`);
     while (this.isReadableDraining &&
       (this.elementsToBatch.length >= this.batchSize ||
-        (this.isWritableComplete && this.elementsToBatch.length > 0))) {
+        ((this.isWritableComplete || this.isFlushing) && this.elementsToBatch.length > 0))) {
       // Splice up to batchSize elements from the available elements
       const batch = this.elementsToBatch.splice(0, this.batchSize);
+      // Any pending flush is satisfied by this batch
+      this.isFlushing = false;
+      this.clearFlush();
       this.log(`Writing batch ${this.batchId} with ${batch.length} elements.`);
       // Increment the batch ID ready for the next batch
       this.batchId++;
@@ -96,6 +129,8 @@ class BatchingStream extends Duplex {
     if (this.elementsToBatch.length === 0 && this.isWritableComplete) {
       this.log('No further elements, signalling EOF.');
       this.push(null);
+    } else if (!this.isWritableComplete) {
+      this.scheduleFlush();
     }
   }
 
@@ -143,6 +178,7 @@ class BatchingStream extends Duplex {
       this.tryPushingBatches();
     } else {
       // Callback immediately if there are fewer elements
+      this.scheduleFlush();
       callback();
     }
   }
@@ -157,10 +193,17 @@ class BatchingStream extends Duplex {
     this.log('Flushing batch transform.');
     // Set the writable complete flag
     this.isWritableComplete = true;
+    // The remaining elements are pushed now, so no flush is needed
+    this.clearFlush();
     // Try to push batches
     this.tryPushingBatches();
     callback();
   }
+
+  _destroy(err, callback) {
+    this.clearFlush();
+    callback(err);
+  }
 }
 
 class DelegateWritable extends Writable {
@@ -242,6 +285,69 @@ class DelegateWritable extends Writable {
   }
 }
 
+class WrappingWritable extends Writable {
+  /**
+   * A Writable that wraps each chunk written to it, for example by
+   * compressing or encrypting it, and writes the result to another writable.
+   * The write callback is called when the wrapped chunk is written so that
+   * the log file only records batches as done when they are in the backup
+   * file. Subclasses implement wrapChunk(chunk) to return the bytes to write.
+   *
+   * Errors are passed to the write callbacks, including the error of a target
+   * that is another WrappingWritable, so wrappers can be stacked and their
+   * errors reach the pipeline writing to the outermost wrapper.
+   *
+   * @param {string} name - the name of this WrappingWritable for logging
+   * @param {Writable} targetWritable - the Writable stream to write to
+   * @param {object} [opts] - Writable options
+   */
+  constructor(name, targetWritable, opts) {
+    super(opts);
+    this.targetWritable = targetWritable;
+    this.log = debug(`couchbackup:transform:wrapping:${name}`);
+    // The error reaches the pipeline through a write callback, so the error
+    // event is only logged instead of being an unhandled error
+    this.on('error', (err) => this.log(`errored: ${err.message}`));
+  }
+
+  /**
+   * @param {Buffer|string} chunk - chunk written to this writable
+   * @returns {Promise<Buffer>} the bytes to write to the target writable, empty for none
+   */
+  async wrapChunk(chunk) {
+    return chunk;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.wrapChunk(chunk).then((wrapped) => {
+      if (this.targetWritable.errored) {
+        callback(this.targetWritable.errored);
+      } else if (this.targetWritable.destroyed) {
+        // Avoid write after destroy errors
+        this.log('supressing write after destroy error');
+        callback();
+      } else if (wrapped.length === 0) {
+        callback();
+      } else {
+        this.targetWritable.write(wrapped, callback);
+      }
+    }, callback);
+  }
+
+  _final(callback) {
+    if (this.targetWritable.errored) {
+      callback(this.targetWritable.errored);
+    } else if (this.targetWritable.destroyed) {
+      callback();
+    } else if (this.targetWritable === process.stdout) {
+      // We can't 'end' stdout and there is nothing more to write
+      callback();
+    } else {
+      this.targetWritable.end(callback);
+    }
+  }
+}
+
 /**
  * A helper PassThrough class that is used in our custom
  * Duplex streams.
@@ -385,5 +491,6 @@ module.exports = {
   FilterStream,
   MappingStream,
   SideEffect,
+  WrappingWritable,
   WritableWithPassThrough
 };
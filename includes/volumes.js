@@ -0,0 +1,219 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+const { randomUUID } = require('node:crypto');
+const { existsSync } = require('node:fs');
+const { open } = require('node:fs/promises');
+const { Writable } = require('node:stream');
+const { BackupError } = require('./error.js');
+const debug = require('debug')('couchbackup:volumes');
+
+// Volume headers are short, so only the start of a file is read to find one
+const MAX_VOLUME_HEADER_LENGTH = 256;
+
+/**
+ * @param {string} output - backup file name
+ * @param {number} number - volume number, starting from 1
+ * @returns {string} the volume file name, for example backup.0001
+ */
+function volumeFileName(output, number) {
+  return `${output}.${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Make the cleartext header line of a volume. The header of the last volume
+ * is the same length so that it can be rewritten in place when the backup
+ * finishes.
+ *
+ * @param {string} set - ID of the volume set
+ * @param {number} number - volume number
+ * @param {boolean} last - whether it is the last volume of the set
+ * @returns {string} the volume header line
+ */
+function volumeHeader(set, number, last) {
+  return `${JSON.stringify({ volume: { set, number, last } })}${last ? ' ' : ''}\n`;
+}
+
+/**
+ * Read the volume header from the first line of a file.
+ *
+ * @param {string} path - file name
+ * @returns {Promise<object|null>} the volume {set, number, last, length} or null if the file is not a volume
+ */
+async function readVolumeHeader(path) {
+  const fileHandle = await open(path, 'r');
+  try {
+    const { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(MAX_VOLUME_HEADER_LENGTH), 0, MAX_VOLUME_HEADER_LENGTH, 0);
+    const length = buffer.subarray(0, bytesRead).indexOf('\n') + 1;
+    if (length > 0) {
+      try {
+        const { volume } = JSON.parse(buffer.toString('utf-8', 0, length));
+        if (volume && typeof volume.set === 'string' && Number.isInteger(volume.number)) {
+          return { set: volume.set, number: volume.number, last: volume.last === true, length };
+        }
+      } catch (err) {
+        // Not a volume header
+      }
+    }
+    return null;
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Group backup file names into backup files, where the consecutive volumes
+ * of a volume set make up a single backup file. The volumes of each set
+ * are checked to be complete and in order.
+ *
+ * @param {string[]} paths - backup file or volume names
+ * @returns {Promise<string[][]>} the volume names of each backup file, a single name for a backup file without volumes
+ * @throws {BackupError} if a volume is missing or out of order
+ */
+async function volumeSets(paths) {
+  const files = [];
+  let set;
+  const checkComplete = () => {
+    if (set && !set.last) {
+      throw new BackupError('VolumeSetError', `The volume set of ${set.paths[0]} is missing the volumes after volume ${set.paths.length}.`);
+    }
+  };
+  for (const path of paths) {
+    const volume = await readVolumeHeader(path);
+    if (volume && set && volume.set === set.id) {
+      if (set.last || volume.number !== set.paths.length + 1) {
+        throw new BackupError('VolumeSetError', `Backup volume ${path} is volume ${volume.number}, but volume ${set.paths.length + 1} of the set is ${set.last ? 'not expected' : 'missing'}.`);
+      }
+      set.paths.push(path);
+      set.last = volume.last;
+    } else {
+      checkComplete();
+      if (volume) {
+        if (volume.number !== 1) {
+          throw new BackupError('VolumeSetError', `Backup volume ${path} is volume ${volume.number}, but volume 1 of the set is missing.`);
+        }
+        set = { id: volume.set, paths: [path], last: volume.last };
+        files.push(set.paths);
+      } else {
+        set = undefined;
+        files.push([path]);
+      }
+    }
+  }
+  checkComplete();
+  return files;
+}
+
+class VolumeWritable extends Writable {
+  /**
+   * A Writable that writes a backup to volume files of a maximum size,
+   * rolling over to the next volume between writes. Each write is a line
+   * of the backup file, or a compressed or encrypted frame of it, so a
+   * volume only exceeds the maximum size if a single write does.
+   *
+   * @param {string} output - backup file name, the volumes are named output.0001, output.0002, ...
+   * @param {number} maxVolumeSize - maximum size of a volume in bytes
+   * @param {boolean} resume - whether to append to the existing volumes of a resumed backup
+   */
+  constructor(output, maxVolumeSize, resume) {
+    super();
+    this.output = output;
+    this.maxVolumeSize = maxVolumeSize;
+    this.resume = resume;
+  }
+
+  _construct(callback) {
+    this.openVolumes().then(() => callback(), callback);
+  }
+
+  async openVolumes() {
+    let number = 0;
+    while (this.resume && existsSync(volumeFileName(this.output, number + 1))) {
+      number++;
+    }
+    if (number > 0) {
+      // Continue the last volume of the resumed backup
+      const volume = await readVolumeHeader(volumeFileName(this.output, number));
+      if (!volume) {
+        throw new BackupError('VolumeSetError', `Cannot resume the backup, ${volumeFileName(this.output, number)} is not a backup volume.`);
+      }
+      this.set = volume.set;
+      this.number = number;
+      this.headerLength = volume.length;
+      this.fileHandle = await open(volumeFileName(this.output, number), 'r+');
+      // The volume is no longer the last if the backup had finished
+      await this.fileHandle.write(volumeHeader(this.set, number, false), 0);
+      await this.fileHandle.close();
+      this.fileHandle = await open(volumeFileName(this.output, number), 'a');
+      this.size = (await this.fileHandle.stat()).size;
+      debug(`Resuming backup volume ${this.number} of set ${this.set}.`);
+    } else {
+      this.set = randomUUID();
+      this.number = 0;
+      await this.nextVolume();
+    }
+  }
+
+  async nextVolume() {
+    if (this.fileHandle) {
+      await this.fileHandle.close();
+    }
+    this.number++;
+    const header = volumeHeader(this.set, this.number, false);
+    this.fileHandle = await open(volumeFileName(this.output, this.number), 'w');
+    await this.fileHandle.writeFile(header);
+    this.headerLength = this.size = Buffer.byteLength(header);
+    debug(`Writing backup volume ${this.number} of set ${this.set}.`);
+  }
+
+  _write(chunk, encoding, callback) {
+    (async () => {
+      // Roll over between writes, unless the volume has no content yet
+      if (this.size > this.headerLength && this.size + chunk.length > this.maxVolumeSize) {
+        await this.nextVolume();
+      }
+      await this.fileHandle.writeFile(chunk);
+      this.size += chunk.length;
+    })().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    (async () => {
+      await this.fileHandle.close();
+      this.fileHandle = null;
+      // Mark the last volume so that restore can tell if volumes are missing from the end of the set
+      const fileHandle = await open(volumeFileName(this.output, this.number), 'r+');
+      try {
+        await fileHandle.write(volumeHeader(this.set, this.number, true), 0);
+      } finally {
+        await fileHandle.close();
+      }
+    })().then(() => callback(), callback);
+  }
+
+  _destroy(err, callback) {
+    if (this.fileHandle) {
+      this.fileHandle.close().then(() => callback(err), () => callback(err));
+    } else {
+      callback(err);
+    }
+  }
+}
+
+module.exports = {
+  readVolumeHeader,
+  volumeFileName,
+  volumeSets,
+  VolumeWritable
+};
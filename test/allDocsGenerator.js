@@ -1,4 +1,4 @@
-// Copyright © 2023 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,21 +12,24 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-/* global describe it beforeEach */
+/* global describe it beforeEach afterEach */
 
 const asyncGenerator = require('../includes/allDocsGenerator.js');
 const assert = require('assert');
+const { createHash } = require('node:crypto');
 const { newClient } = require('../includes/request.js');
 const fs = require('fs');
 const nock = require('nock');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
 const { Writable } = require('node:stream');
 const { pipeline } = require('node:stream/promises');
 
-function allDocsGen(dbUrl, opts) {
+function allDocsGen(dbUrl, opts, resumeState) {
   const db = newClient(dbUrl, opts);
   // Disable compression to make body assertions easier
   db.service.setEnableGzipCompression(false);
-  return asyncGenerator(db, opts);
+  return asyncGenerator(db, opts, resumeState);
 }
 
 describe('#unit async all docs generator', function() {
@@ -196,4 +199,280 @@ describe('#unit async all docs generator', function() {
     assert.deepStrictEqual(output, expected);
     assert.ok(couch.isDone());
   });
+
+  describe('key ranges', function() {
+    const mockDoc = {
+      _id: 'cust1:doc1',
+      _rev: '1-abc',
+      foo: 'bar'
+    };
+    const mockPage = {
+      total_rows: 3,
+      offset: 1,
+      rows: [
+        {
+          id: 'cust1:doc1',
+          key: 'cust1:doc1',
+          value: {
+            rev: '1-abc'
+          },
+          doc: mockDoc
+        }
+      ]
+    };
+
+    async function collect(opts) {
+      const output = [];
+      await pipeline(
+        allDocsGen(dbUrl, opts),
+        new Writable({
+          objectMode: true,
+          write: (chunk, encoding, callback) => {
+            output.push(chunk);
+            callback();
+          }
+        })
+      );
+      return output;
+    }
+
+    it('should page from a start key to an end key', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 2, start_key: 'cust1:', end_key: 'cust1:zzz', include_docs: true })
+        .reply(200, mockPage);
+
+      const output = await collect({ bufferSize: 2, startKey: 'cust1:', endKey: 'cust1:zzz' });
+      assert.deepStrictEqual(output, [{ command: 'd', batch: 0, docs: [mockDoc] }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should continue paging up to the end key', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 1, start_key: 'cust1:', end_key: 'cust1:zzz', include_docs: true })
+        .reply(200, mockPage)
+        .post('/_all_docs', { limit: 1, start_key: 'cust1:doc1\0', end_key: 'cust1:zzz', include_docs: true })
+        .reply(200, { total_rows: 3, offset: 2, rows: [] });
+
+      const output = await collect({ bufferSize: 1, startKey: 'cust1:', endKey: 'cust1:zzz' });
+      assert.deepStrictEqual(output, [{ command: 'd', batch: 0, docs: [mockDoc] }, { command: 'd', batch: 1, docs: [] }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should page only an ID prefix', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 2, start_key: 'cust1:', end_key: 'cust1:\ufff0', include_docs: true })
+        .reply(200, mockPage);
+
+      const output = await collect({ bufferSize: 2, idPrefix: 'cust1:' });
+      assert.deepStrictEqual(output, [{ command: 'd', batch: 0, docs: [mockDoc] }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should page the partition all docs endpoint', async function() {
+      const couch = nock(dbUrl)
+        .post('/_partition/cust1/_all_docs', { limit: 2, include_docs: true })
+        .reply(200, mockPage);
+
+      const output = await collect({ bufferSize: 2, partition: 'cust1' });
+      assert.deepStrictEqual(output, [{ command: 'd', batch: 0, docs: [mockDoc] }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should list the current revisions to fetch with the revs option', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 2, include_docs: false })
+        .reply(200, mockPage);
+
+      const output = await collect({ bufferSize: 2, revs: true });
+      assert.deepStrictEqual(output, [{ command: 't', batch: 0, docs: [{ id: 'cust1:doc1', rev: '1-abc' }] }]);
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('parallel ranges', function() {
+    const docs = ['a', 'b', 'c', 'd'].map(id => { return { _id: id, _rev: '1-abc' }; });
+
+    function page(pageDocs, offset = 0) {
+      return { total_rows: docs.length, offset, rows: pageDocs.map(doc => { return { id: doc._id, key: doc._id, value: { rev: doc._rev }, doc }; }) };
+    }
+
+    async function collect(opts) {
+      const output = [];
+      await pipeline(
+        allDocsGen(dbUrl, opts),
+        new Writable({
+          objectMode: true,
+          write: (chunk, encoding, callback) => {
+            output.push(chunk);
+            callback();
+          }
+        })
+      );
+      return output;
+    }
+
+    it('should page sampled ranges concurrently', async function() {
+      const couch = nock(dbUrl)
+        // the first and last docs and their offsets
+        .post('/_all_docs', { limit: 1 })
+        .reply(200, page(docs.slice(0, 1)))
+        .post('/_all_docs', { descending: true, limit: 1 })
+        .reply(200, page(docs.slice(3)))
+        // sample the split key from the middle of "a" and "d"
+        .post('/_all_docs', { start_key: 'bc', limit: 1 })
+        .reply(200, page(docs.slice(2, 3), 2))
+        // first range
+        .post('/_all_docs', { limit: 3, include_docs: true, end_key: 'c', inclusive_end: false })
+        .reply(200, page(docs.slice(0, 2)))
+        // second range
+        .post('/_all_docs', { limit: 3, include_docs: true, start_key: 'c' })
+        .reply(200, page(docs.slice(2), 2));
+
+      const output = await collect({ bufferSize: 3, parallelism: 2 });
+      assert.deepStrictEqual(output.map(batch => batch.batch).sort(), [0, 1]);
+      assert.deepStrictEqual(output.flatMap(batch => batch.docs).sort((a, b) => a._id.localeCompare(b._id)), docs);
+      assert.ok(couch.isDone());
+    });
+
+    it('should page a single range without row offsets', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 1 })
+        .reply(200, { total_rows: null, offset: null, rows: [] })
+        .post('/_all_docs', { limit: 5, include_docs: true })
+        .reply(200, page(docs));
+
+      const output = await collect({ bufferSize: 5, parallelism: 2 });
+      assert.deepStrictEqual(output, [{ command: 'd', batch: 0, docs }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should sample split keys of a large range without skipping rows', async function() {
+      const ids = Array.from({ length: 5000 }, (_, i) => createHash('md5').update(String(i)).digest('hex')).sort();
+      const sampleBodies = [];
+      // Reply to the _all_docs requests of a database of the sorted IDs
+      nock(dbUrl)
+        .post('/_all_docs')
+        .times(Infinity)
+        .reply(200, (uri, body) => {
+          if (!body.include_docs) {
+            sampleBodies.push(body);
+          }
+          // The IDs from the start key in the order of the request and the number of rows before them
+          const ordered = body.descending ? [...ids].reverse() : ids;
+          const offset = body.start_key
+            ? ordered.filter(id => body.descending ? id > body.start_key : id < body.start_key).length
+            : 0;
+          const rows = ordered.slice(offset)
+            .filter(id => !body.end_key || (body.inclusive_end === false ? id < body.end_key : id <= body.end_key))
+            .slice(0, body.limit)
+            .map(id => { return { id, key: id, value: { rev: '1-abc' }, doc: { _id: id, _rev: '1-abc' } }; });
+          return { total_rows: ids.length, offset, rows };
+        });
+
+      const output = await collect({ bufferSize: 5000, parallelism: 4 });
+      assert.deepStrictEqual(output.flatMap(batch => batch.docs).map(doc => doc._id).sort(), ids);
+      // Each range has about a quarter of the docs, each split key is within the tolerance of a twentieth of a range
+      for (const batch of output) {
+        assert.ok(Math.abs(batch.docs.length - 1250) <= 1250 / 10, `range of ${batch.docs.length} docs`);
+      }
+      assert.ok(sampleBodies.every(body => typeof body.skip === 'undefined'));
+      assert.ok(sampleBodies.length < 60, `${sampleBodies.length} sample requests`);
+    });
+
+    it('should error if a range fails', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 1 })
+        .reply(200, page(docs.slice(0, 1)))
+        .post('/_all_docs', { descending: true, limit: 1 })
+        .reply(200, page(docs.slice(3)))
+        .post('/_all_docs', { start_key: 'bc', limit: 1 })
+        .reply(200, page(docs.slice(2, 3), 2))
+        .post('/_all_docs', { limit: 3, include_docs: true, end_key: 'c', inclusive_end: false })
+        .reply(200, page(docs.slice(0, 2)))
+        .post('/_all_docs', { limit: 3, include_docs: true, start_key: 'c' })
+        .reply(401, { error: 'unauthorized', reason: 'testing' });
+
+      await assert.rejects(collect({ bufferSize: 3, parallelism: 2 }), { status: 401 });
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('range checkpoints', function() {
+    const docs = ['a', 'b', 'c', 'd'].map(id => { return { _id: id, _rev: '1-abc' }; });
+    let dir;
+    let log;
+
+    function page(pageDocs, offset = 0) {
+      return { total_rows: docs.length, offset, rows: pageDocs.map(doc => { return { id: doc._id, key: doc._id, value: { rev: doc._rev }, doc }; }) };
+    }
+
+    async function collect(opts, resumeState) {
+      const output = [];
+      await pipeline(
+        allDocsGen(dbUrl, opts, resumeState),
+        new Writable({
+          objectMode: true,
+          write: (chunk, encoding, callback) => {
+            output.push(chunk);
+            callback();
+          }
+        })
+      );
+      return output;
+    }
+
+    beforeEach('Make log file directory', function() {
+      dir = fs.mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+      log = join(dir, 'test.log');
+    });
+
+    afterEach('Remove log file directory', function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should record the ranges in the log file and checkpoint each batch', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 1 })
+        .reply(200, page(docs.slice(0, 1)))
+        .post('/_all_docs', { descending: true, limit: 1 })
+        .reply(200, page(docs.slice(3)))
+        .post('/_all_docs', { start_key: 'bc', limit: 1 })
+        .reply(200, page(docs.slice(2, 3), 2))
+        .post('/_all_docs', { limit: 3, include_docs: true, end_key: 'c', inclusive_end: false })
+        .reply(200, page(docs.slice(0, 2)))
+        .post('/_all_docs', { limit: 3, include_docs: true, start_key: 'c' })
+        .reply(200, page(docs.slice(2), 2));
+
+      const output = await collect({ bufferSize: 3, parallelism: 2, log });
+      assert.strictEqual(fs.readFileSync(log, 'utf8'),
+        ':r range0 {"endKey":"c","inclusiveEnd":false}\n:r range1 {"startKey":"c"}\n');
+      assert.deepStrictEqual(output.map(batch => batch.range).sort((a, b) => a.index - b.index), [
+        { index: 0, startKey: 'b\0', endKey: 'c', inclusiveEnd: false, complete: true },
+        { index: 1, startKey: 'd\0', complete: true }
+      ]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should continue the incomplete ranges when resuming', async function() {
+      const couch = nock(dbUrl)
+        .post('/_all_docs', { limit: 1, include_docs: true, start_key: 'a\0', end_key: 'c', inclusive_end: false })
+        .reply(200, page(docs.slice(1, 2), 1))
+        .post('/_all_docs', { limit: 1, include_docs: true, start_key: 'b\0', end_key: 'c', inclusive_end: false })
+        .reply(200, page([], 2));
+
+      const resumeState = {
+        ranges: new Map([
+          [0, { startKey: 'a\0', endKey: 'c', inclusiveEnd: false, complete: false }],
+          [1, { startKey: 'd\0', complete: true }]
+        ]),
+        firstBatch: 5
+      };
+      const output = await collect({ bufferSize: 1, parallelism: 2, log }, resumeState);
+      assert.deepStrictEqual(output.map(batch => batch.batch), [5, 6]);
+      assert.deepStrictEqual(output.flatMap(batch => batch.docs), docs.slice(1, 2));
+      // The ranges are not recorded again
+      assert.ok(!fs.existsSync(log));
+      assert.ok(couch.isDone());
+    });
+  });
 });
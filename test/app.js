@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -114,14 +114,56 @@ describe('#unit Validate arguments', function() {
     return validateArgs(goodUrl, { log: './test/fixtures/test.log', resume: true }, assertNoValidationError());
   });
   it('returns error for invalid mode type', async function() {
-    return validateArgs(goodUrl, { mode: true }, assertErrorMessage('Invalid mode option, must be either "full" or "shallow"'));
+    return validateArgs(goodUrl, { mode: true }, assertErrorMessage('Invalid mode option, must be either "full", "shallow" or "continuous"'));
   });
   it('returns error for invalid mode string', async function() {
-    return validateArgs(goodUrl, { mode: 'foobar' }, assertErrorMessage('Invalid mode option, must be either "full" or "shallow"'));
+    return validateArgs(goodUrl, { mode: 'foobar' }, assertErrorMessage('Invalid mode option, must be either "full", "shallow" or "continuous"'));
   });
   it('returns no error for valid mode type', async function() {
     return validateArgs(goodUrl, { mode: 'full' }, assertNoValidationError());
   });
+  it('returns error for invalid compress string', async function() {
+    return validateArgs(goodUrl, { compress: 'lzma' }, assertErrorMessage(/^Invalid compress option, must be either "gzip",? (or )?"brotli"/));
+  });
+  it('returns no error for valid compress string', async function() {
+    return validateArgs(goodUrl, { compress: 'brotli' }, assertNoValidationError());
+  });
+  it('returns error for encrypt without a key', async function() {
+    return validateArgs(goodUrl, { encrypt: true }, assertErrorMessage('Invalid encrypt option, it requires the encryptionKeyFile or encryptionPassphrase option'));
+  });
+  it('returns error for an encryption key file and passphrase', async function() {
+    return validateArgs(goodUrl, { encrypt: true, encryptionKeyFile: './test/fixtures/test.log', encryptionPassphrase: 'secret' }, assertErrorMessage('Invalid encryptionPassphrase option, it cannot be used with the encryptionKeyFile option'));
+  });
+  it('returns error for a missing encryption key file', async function() {
+    return validateArgs(goodUrl, { encrypt: true, encryptionKeyFile: './test/fixtures/missing.key' }, assertErrorMessage('Invalid encryptionKeyFile option, the file ./test/fixtures/missing.key does not exist'));
+  });
+  it('returns error for an encryption key file without a key', async function() {
+    return validateArgs(goodUrl, { encrypt: true, encryptionKeyFile: './test/fixtures/test.log' }, assertErrorMessage('Invalid encryption key file ./test/fixtures/test.log, it must contain a 256-bit key as 32 bytes or 64 hexadecimal characters'));
+  });
+  it('returns error for an encryption key file that cannot be read', async function() {
+    return validateArgs(goodUrl, { encrypt: true, encryptionKeyFile: './test/fixtures' }, assertErrorMessage('Invalid encryption key file ./test/fixtures, it cannot be read: EISDIR: illegal operation on a directory, read'));
+  });
+  it('returns no error for encrypt with a passphrase', async function() {
+    return validateArgs(goodUrl, { encrypt: true, encryptionPassphrase: 'secret' }, assertNoValidationError());
+  });
+  it('returns error for invalid format string', async function() {
+    return validateArgs(goodUrl, { format: 'csv' }, assertErrorMessage('Invalid format option, must be either "json", "ndjson" or "tar"'));
+  });
+  it('returns no error for valid format string', async function() {
+    return validateArgs(goodUrl, { format: 'ndjson' }, assertNoValidationError());
+  });
+  it('returns error for attachmentsDir with the tar format', async function() {
+    return validateArgs(goodUrl, { attachments: true, attachmentsDir: 'attachments', format: 'tar' }, assertErrorMessage('Invalid attachmentsDir option, it cannot be used with the tar format'));
+  });
+  it('returns error for attachmentsDir with encrypt', async function() {
+    return validateArgs(goodUrl, { attachments: true, attachmentsDir: 'attachments', encrypt: true, encryptionPassphrase: 'secret' }, assertErrorMessage('Invalid attachmentsDir option, it cannot be used with the encrypt option'));
+  });
+  it('returns error for maxVolumeSize without output', async function() {
+    return validateArgs(goodUrl, { maxVolumeSize: 1024 }, assertErrorMessage('Invalid maxVolumeSize option, it requires the output option to name the volume files'));
+  });
+  it('returns no error for maxVolumeSize with output', async function() {
+    return validateArgs(goodUrl, { maxVolumeSize: 1024, output: 'output.txt' }, assertNoValidationError());
+  });
   it('returns error for invalid output type', async function() {
     return validateArgs(goodUrl, { output: true }, assertErrorMessage('Invalid output option, must be type string'));
   });
@@ -176,23 +218,116 @@ describe('#unit Validate arguments', function() {
   it('returns no error for valid quiet type', async function() {
     return validateArgs(goodUrl, { quiet: true }, assertNoValidationError());
   });
+  it('returns error for invalid attachmentsDir type', async function() {
+    return validateArgs(goodUrl, { attachments: true, attachmentsDir: true }, assertErrorMessage('Invalid attachmentsDir option, must be type string'));
+  });
+  it('returns error for attachmentsDir without attachments', async function() {
+    return validateArgs(goodUrl, { attachmentsDir: 'attachments' }, assertErrorMessage('Invalid attachmentsDir option, it is only valid with the attachments option'));
+  });
+  it('returns error for invalid maxAttachmentSize type', async function() {
+    return validateArgs(goodUrl, { attachments: true, maxAttachmentSize: '1MB' }, assertErrorMessage('Invalid max attachment size option, must be a positive integer in the range (0, MAX_SAFE_INTEGER]'));
+  });
+  it('returns error for attachmentContentTypes without attachments', async function() {
+    return validateArgs(goodUrl, { attachmentContentTypes: 'image/*' }, assertErrorMessage('Invalid attachmentContentTypes option, it is only valid with the attachments option'));
+  });
+  it('returns error for verifyAttachments without attachments', async function() {
+    return validateArgs(goodUrl, { verifyAttachments: true }, assertErrorMessage('Invalid verifyAttachments option, it is only valid with the attachments option'));
+  });
+  it('returns no error for valid attachment filters', async function() {
+    return validateArgs(goodUrl, { attachments: true, maxAttachmentSize: 1048576, attachmentContentTypes: 'image/*' }, assertNoValidationError());
+  });
   it('returns error for invalid attachments type', async function() {
     return validateArgs(goodUrl, { attachments: 'true' }, assertErrorMessage('Invalid attachments option, must be type boolean'));
   });
   it('returns no error for valid attachments type', async function() {
     return validateArgs(goodUrl, { attachments: true }, assertNoValidationError());
   });
-  it('warns for log arg in shallow mode', async function() {
-    return validateStdErrWarning(goodUrl, { mode: 'shallow', log: 'test' },
-      'the options "log" and "resume" are invalid when using shallow mode.');
+  it('returns error for invalid selector type', async function() {
+    return validateArgs(goodUrl, { selector: '{"type":"tenant"}' }, assertErrorMessage('Invalid selector option, must be an object'));
+  });
+  it('returns error for array selector', async function() {
+    return validateArgs(goodUrl, { selector: [] }, assertErrorMessage('Invalid selector option, must be an object'));
+  });
+  it('returns no error for valid selector type', async function() {
+    return validateArgs(goodUrl, { selector: { type: 'tenant' } }, assertNoValidationError());
+  });
+  it('returns error for selector in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', selector: { type: 'tenant' } }, assertErrorMessage('Invalid selector option, it is only valid when using full or continuous mode'));
+  });
+  it('returns error for invalid start key type', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', startKey: 1 }, assertErrorMessage('Invalid startKey option, must be type string'));
   });
-  it('warns for resume arg in shallow mode', async function() {
-    return validateStdErrWarning(goodUrl, { mode: 'shallow', log: 'test', resume: true },
-      'the options "log" and "resume" are invalid when using shallow mode.');
+  it('returns error for invalid end key type', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', endKey: 1 }, assertErrorMessage('Invalid endKey option, must be type string'));
+  });
+  it('returns error for invalid ID prefix type', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', idPrefix: 1 }, assertErrorMessage('Invalid idPrefix option, must be type string'));
+  });
+  it('returns no error for valid key range in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', startKey: 'a', endKey: 'b' }, assertNoValidationError());
+  });
+  it('returns no error for valid ID prefix in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', idPrefix: 'a' }, assertNoValidationError());
+  });
+  it('returns error for start key in full mode', async function() {
+    return validateArgs(goodUrl, { startKey: 'a' }, assertErrorMessage('Invalid startKey option, it is only valid when using shallow mode'));
+  });
+  it('returns no error for revs in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', revs: true }, assertNoValidationError());
+  });
+  it('returns error for revs in full mode', async function() {
+    return validateArgs(goodUrl, { revs: true }, assertErrorMessage('Invalid revs option, it is only valid when using shallow mode'));
+  });
+  it('returns error for ID prefix with a key range', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', idPrefix: 'a', endKey: 'b' }, assertErrorMessage('Invalid idPrefix option, it cannot be used with the startKey or endKey options'));
+  });
+  it('returns error for invalid partition type', async function() {
+    return validateArgs(goodUrl, { partition: 1 }, assertErrorMessage('Invalid partition option, must be type string'));
+  });
+  it('returns error for partition containing a colon', async function() {
+    return validateArgs(goodUrl, { partition: 'a:b' }, assertErrorMessage('Invalid partition option, must be a non-empty partition key without ":" that does not start with "_"'));
+  });
+  it('returns no error for valid partition in full mode', async function() {
+    return validateArgs(goodUrl, { partition: 'tenant1' }, assertNoValidationError());
+  });
+  it('returns no error for valid partition in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', partition: 'tenant1' }, assertNoValidationError());
+  });
+  it('returns error for invalid since type', async function() {
+    return validateArgs(goodUrl, { since: 42 }, assertErrorMessage('Invalid since option, must be type string'));
+  });
+  it('returns no error for valid since in full mode', async function() {
+    return validateArgs(goodUrl, { since: '42-abc' }, assertNoValidationError());
+  });
+  it('returns error for since in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', since: '42-abc' }, assertErrorMessage('Invalid since option, it is only valid when using full or continuous mode'));
+  });
+  it('returns error for invalid until type', async function() {
+    return validateArgs(goodUrl, { until: 'yesterday' }, assertErrorMessage('Invalid until option, must be a date and time string'));
+  });
+  it('returns error for invalid until sequence type', async function() {
+    return validateArgs(goodUrl, { untilSeq: 42 }, assertErrorMessage('Invalid untilSeq option, must be type string'));
+  });
+  it('returns no error for continuous mode', async function() {
+    return validateArgs(goodUrl, { mode: 'continuous', signal: new AbortController().signal }, assertNoValidationError());
+  });
+  it('returns error for signal in full mode', async function() {
+    return validateArgs(goodUrl, { signal: new AbortController().signal }, assertErrorMessage('Invalid signal option, it is only valid when using continuous mode'));
+  });
+  it('returns error for resume without log in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', resume: true }, {
+      name: 'NoLogFileName',
+      message: 'To resume a backup, a log file must be specified'
+    });
+  });
+  it('returns error for existing log file without resume in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', log: './test/fixtures/test.log' }, {
+      name: 'LogFileExists',
+      message: 'The log file ./test/fixtures/test.log exists. Use the resume option if you want to resume a backup from an existing log file.'
+    });
   });
-  it('warns for parallelism arg in shallow mode', async function() {
-    return validateStdErrWarning(goodUrl, { mode: 'shallow', parallelism: 10 },
-      'the option "parallelism" has no effect when using shallow mode.');
+  it('returns no error for parallelism arg in shallow mode', async function() {
+    return validateArgs(goodUrl, { mode: 'shallow', parallelism: 10 }, assertNoValidationError());
   });
   it('warns for buffer size arg when resuming', async function() {
     return validateStdErrWarning(goodUrl, { log: './test/fixtures/test.log', resume: true, bufferSize: 100 },
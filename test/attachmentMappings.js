@@ -1,4 +1,4 @@
-// Copyright © 2024 IBM Corp. All rights reserved.
+// Copyright © 2024, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,10 +12,17 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-/* global describe it */
+/* global describe it beforeEach afterEach */
 
 const assert = require('node:assert');
-const { Attachments } = require('../includes/attachmentMappings.js');
+const { createHash } = require('node:crypto');
+const { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } = require('node:fs');
+const { EventEmitter } = require('node:events');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const nock = require('nock');
+const { AttachmentFiles, AttachmentFilter, Attachments, attachmentFileName } = require('../includes/attachmentMappings.js');
+const { newClient } = require('../includes/request.js');
 
 describe('#unit attachment mappings', function() {
   // Test data
@@ -55,4 +62,132 @@ describe('#unit attachment mappings', function() {
       assert.deepStrictEqual(actualOutput, bufferBatch);
     });
   });
+
+  describe('verify', function() {
+    const digest = `md5-${createHash('md5').update(bufferData).digest('base64')}`;
+    const docWith = (attachment) => { return { ...docTempate, _attachments: { 'att.txt': attachment } }; };
+
+    it('should pass attachments with matching digests', function() {
+      const batch = { docs: [docWith({ contentType: 'text/plain', revpos: 2, digest, data: bufferData })] };
+      assert.deepStrictEqual(new Attachments().verify(batch), batch);
+    });
+
+    it('should error for an attachment with a different digest', function() {
+      const batch = { docs: [docWith({ contentType: 'text/plain', revpos: 2, digest, data: bufferData.subarray(0, 10) })] };
+      assert.throws(() => new Attachments().verify(batch), {
+        name: 'AttachmentDigestMismatch',
+        message: `Attachment att.txt of document d1 revision ${docTempate._rev} has digest md5-${createHash('md5').update(bufferData.subarray(0, 10)).digest('base64')} instead of ${digest}.`
+      });
+    });
+
+    it('should skip and report attachments stored with an encoding', function() {
+      // The digest is of the compressed data
+      const batch = { docs: [docWith({ contentType: 'text/plain', revpos: 2, digest: 'md5-abc', encoding: 'gzip', encodedLength: 30, data: bufferData })] };
+      const ee = new EventEmitter();
+      const unverified = [];
+      ee.on('attachmentUnverified', (attachment) => unverified.push(attachment));
+      assert.deepStrictEqual(new Attachments(ee).verify(batch), batch);
+      assert.deepStrictEqual(unverified, [{ id: 'd1', rev: docTempate._rev, attachment: 'att.txt', reason: 'it is stored with gzip encoding' }]);
+    });
+  });
+
+  describe('attachment files', function() {
+    const digest = `md5-${createHash('md5').update(bufferData).digest('base64')}`;
+    const stub = { contentType: 'text/plain', revpos: 2, digest, stub: true };
+    let dir;
+
+    beforeEach('Make attachments directory', function() {
+      dir = join(mkdtempSync(join(tmpdir(), 'couchbackup-test-')), 'attachments');
+    });
+
+    afterEach('Remove attachments directory', function() {
+      rmSync(join(dir, '..'), { recursive: true, force: true });
+    });
+
+    it('should name the file with the hex digest', function() {
+      assert.strictEqual(attachmentFileName('md5-1B2M2Y8AsgTpgAmY7PhCfg=='), 'md5-d41d8cd98f00b204e9800998ecf8427e');
+    });
+
+    it('should write the data to files and leave stubs', async function() {
+      const attachment = () => { return { contentType: 'text/plain', revpos: 2, digest, data: Buffer.from(bufferData) }; };
+      const batch = {
+        docs: [
+          { ...docTempate, _attachments: { 'att.txt': attachment() } },
+          { ...docTempate, _id: 'd2', _attachments: { 'copy.txt': attachment() } }
+        ]
+      };
+      const actualOutput = await new AttachmentFiles(dir).write(batch);
+      assert.deepStrictEqual(actualOutput.docs.map(doc => doc._attachments), [{ 'att.txt': stub }, { 'copy.txt': stub }]);
+      // The same content is written once
+      assert.deepStrictEqual(readdirSync(dir), [attachmentFileName(digest)]);
+      assert.strictEqual(readFileSync(join(dir, attachmentFileName(digest)), 'utf8'), stringData);
+    });
+
+    it('should read the data from files to replace stubs', async function() {
+      await new AttachmentFiles(dir).write({ docs: [{ ...docTempate, _attachments: { 'att.txt': { ...stub, stub: undefined, data: bufferData } } }] });
+      const batch = { docs: [{ ...docTempate, _attachments: { 'att.txt': { ...stub } } }] };
+      const actualOutput = await new AttachmentFiles(dir).read(new Attachments().decode(batch));
+      assert.deepStrictEqual(actualOutput.docs[0]._attachments, { 'att.txt': { contentType: 'text/plain', revpos: 2, digest, data: bufferData } });
+    });
+
+    it('should error for a missing attachment file', async function() {
+      const batch = { docs: [{ ...docTempate, _attachments: { 'att.txt': { ...stub } } }] };
+      assert.ok(!existsSync(dir));
+      await assert.rejects(new AttachmentFiles(dir).read(batch), { name: 'AttachmentFileNotFound' });
+    });
+  });
+
+  describe('attachment filter', function() {
+    const dbUrl = 'http://localhost:5984/animaldb';
+    const dbClient = newClient(dbUrl, {});
+    const stub = (contentType, length) => { return { contentType, digest: 'md5-abc', length, revpos: 1, stub: true }; };
+    let skipped;
+    let ee;
+
+    beforeEach('Reset nocks and event emitter', function() {
+      nock.cleanAll();
+      skipped = [];
+      ee = new EventEmitter().on('attachmentSkipped', (attachment) => skipped.push(attachment));
+    });
+
+    it('should fetch the attachments within the maximum size', async function() {
+      const couch = nock(dbUrl)
+        .get('/d1/small.txt')
+        .query({ rev: '1-a' })
+        .reply(200, stringData);
+      const batch = { docs: [{ _id: 'd1', _rev: '1-a', _attachments: { 'small.txt': stub('text/plain', 18), 'video.mp4': stub('video/mp4', 524288000) } }] };
+      const actualOutput = await new AttachmentFilter(dbClient, { maxAttachmentSize: 1024 }, ee).fetch(batch);
+      assert.deepStrictEqual(actualOutput.docs[0]._attachments, { 'small.txt': { contentType: 'text/plain', digest: 'md5-abc', revpos: 1, data: bufferData } });
+      assert.deepStrictEqual(skipped, [{ id: 'd1', rev: '1-a', attachment: 'video.mp4', reason: 'length 524288000 exceeds the maximum attachment size 1024' }]);
+      assert.ok(couch.isDone());
+    });
+
+    it('should fetch the attachments with matching content types', async function() {
+      const couch = nock(dbUrl)
+        .get('/d1/photo.png')
+        .query({ rev: '1-a' })
+        .reply(200, stringData)
+        .get('/d1/notes.txt')
+        .query({ rev: '1-a' })
+        .reply(200, stringData);
+      const batch = {
+        docs: [{
+          _id: 'd1',
+          _rev: '1-a',
+          _attachments: { 'photo.png': stub('image/png', 18), 'notes.txt': stub('text/plain; charset=utf-8', 18), 'video.mp4': stub('video/mp4', 18) }
+        }]
+      };
+      const actualOutput = await new AttachmentFilter(dbClient, { attachmentContentTypes: 'image/*, text/plain' }, ee).fetch(batch);
+      assert.deepStrictEqual(Object.keys(actualOutput.docs[0]._attachments), ['photo.png', 'notes.txt']);
+      assert.deepStrictEqual(skipped.map(attachment => attachment.attachment), ['video.mp4']);
+      assert.ok(couch.isDone());
+    });
+
+    it('should remove the attachments of a document if all are skipped', async function() {
+      const batch = { docs: [{ _id: 'd1', _rev: '1-a', _attachments: { 'video.mp4': stub('video/mp4', 18) } }] };
+      const actualOutput = await new AttachmentFilter(dbClient, { attachmentContentTypes: 'image/*' }, ee).fetch(batch);
+      assert.deepStrictEqual(actualOutput.docs, [{ _id: 'd1', _rev: '1-a' }]);
+      assert.strictEqual(skipped.length, 1);
+    });
+  });
 });
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2024 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -15,6 +15,7 @@
 /* global afterEach beforeEach describe it */
 
 const assert = require('node:assert');
+const { createHash } = require('node:crypto');
 const fs = require('node:fs');
 const { Writable } = require('node:stream');
 const { pipeline } = require('node:stream/promises');
@@ -46,6 +47,26 @@ describe('#unit backup mappings', function() {
       const fileLine = new Backup(null, {}).backupBatchToBackupFileLine(backupBatchDone);
       assertFileLine(fileLine, `${JSON.stringify(backupBatchDone.docs)}\n`);
     });
+
+    it('should map to a line for each document in the ndjson format', function() {
+      const fileLine = new Backup(null, { format: 'ndjson' }).backupBatchToBackupFileLine(backupBatchDone);
+      assertFileLine(fileLine, backupBatchDone.docs.map((doc) => `${JSON.stringify(doc)}\n`).join(''));
+    });
+  });
+
+  describe('backupFileTrailer', function() {
+    it('should record the counts and digest of the lines written', function() {
+      const backup = new Backup(null, {});
+      const line = backup.backupBatchToBackupFileLine(backupBatchDone);
+      backup.lastSeq = '2-abc';
+      const trailer = JSON.parse(backup.backupFileTrailer()).trailer;
+      assert.deepStrictEqual(trailer, {
+        docs: 2,
+        batches: 1,
+        lastSeq: '2-abc',
+        sha256: createHash('sha256').update(line).digest('hex')
+      });
+    });
   });
 
   describe('backupBatchToLogFileLine', function() {
@@ -53,6 +74,15 @@ describe('#unit backup mappings', function() {
       const fileLine = new Backup(null, {}).backupBatchToLogFileLine(backupBatchDone);
       assertFileLine(fileLine, ':d batch0\n');
     });
+    it('should correctly map to log file lines with a checkpoint', function() {
+      const fileLine = new Backup(null, {}).backupBatchToLogFileLine({ ...backupBatchDone, seq: '12-abc' });
+      assertFileLine(fileLine, ':d batch0\n:checkpoint 12-abc\n');
+    });
+    it('should correctly map to log file lines with a range checkpoint', function() {
+      const range = { index: 1, startKey: 'doc2\0', endKey: 'doc5', inclusiveEnd: false, complete: false };
+      const fileLine = new Backup(null, {}).backupBatchToLogFileLine({ ...backupBatchDone, range });
+      assertFileLine(fileLine, ':d batch0\n:r range1 {"startKey":"doc2\\u0000","endKey":"doc5","inclusiveEnd":false,"complete":false}\n');
+    });
   });
 
   describe('log line mappers', function() {
@@ -102,6 +132,12 @@ describe('#unit backup mappings', function() {
             ['changes_complete', null, []]
           )
         );
+        it('should correctly map a checkpoint log file line',
+          makeTestForLogLine(fn,
+            ':checkpoint 2345-abcdef123456',
+            ['checkpoint', null, []]
+          )
+        );
         it('should correctly map a changes_complete log file line with undefined',
           makeTestForLogLine(fn,
             ':changes_complete undefined',
@@ -126,6 +162,16 @@ describe('#unit backup mappings', function() {
             [null, null, []] // broken metadata, line ignored
           )
         );
+        it('should correctly map a range log file line', function() {
+          const metadata = fn(liner.wrapLine(':r range3 {"startKey":"doc2\\u0000","complete":false}'));
+          assert.strictEqual(metadata.command, 'r');
+          assert.strictEqual(metadata.range, 3);
+          assert.deepStrictEqual(metadata.rangeState, { startKey: 'doc2\0', complete: false });
+        });
+        it('should handle corrupted range log file lines', function() {
+          // A partial range line from an interruption is ignored
+          assert.strictEqual(fn(liner.wrapLine(':r range3 {"startKey":"do')).command, null);
+        });
       });
     });
   });
@@ -167,6 +213,50 @@ describe('#unit backup mappings', function() {
     });
   });
 
+  describe('getPendingToFetchedMapper with revsLimit', function() {
+    const nock = require('nock');
+    const url = 'http://localhost:7777';
+    const dbName = 'fakenockdb';
+    const dbClient = newClient(`${url}/${dbName}`, { parallelism: 1 });
+
+    afterEach('setup nock', function() {
+      nock.cleanAll();
+    });
+
+    it('should trim the revision histories of a batch', async function() {
+      const revisions = { start: 4, ids: ['d', 'c', 'b', 'a'] };
+      nock(url)
+        .post(`/${dbName}/_bulk_get`)
+        .query({ revs: true })
+        .reply(200, { results: [{ docs: [{ ok: { _id: 'doc1', _rev: '4-d', _revisions: revisions } }] }] });
+      const fetchedBatch = await new Backup(dbClient, { revsLimit: 2 }).pendingToFetched(backupBatchTodo);
+      assertBackupBatchObject(fetchedBatch, 'd', 0, [{ _id: 'doc1', _rev: '4-d', _revisions: { start: 4, ids: ['d', 'c'] } }]);
+      assert.ok(nock.isDone(), 'The mocks should be done');
+    });
+
+    it('should fetch attachment stubs when the attachments are filtered', async function() {
+      const stub = { digest: 'md5-abc', length: 524288000, revpos: 1, stub: true };
+      nock(url)
+        .post(`/${dbName}/_bulk_get`)
+        .query({ revs: true })
+        .reply(200, { results: [{ docs: [{ ok: { _id: 'doc1', _rev: '1-a', _attachments: { 'video.mp4': { content_type: 'video/mp4', ...stub } } } }] }] });
+      const fetchedBatch = await new Backup(dbClient, { attachments: true, maxAttachmentSize: 1048576 }).pendingToFetched(backupBatchTodo);
+      // The SDK converts the attachment content_type to contentType
+      assertBackupBatchObject(fetchedBatch, 'd', 0, [{ _id: 'doc1', _rev: '1-a', _attachments: { 'video.mp4': { contentType: 'video/mp4', ...stub } } }]);
+      assert.ok(nock.isDone(), 'The mocks should be done');
+    });
+
+    it('should fetch the attachment encodings when verifying attachments', async function() {
+      nock(url)
+        .post(`/${dbName}/_bulk_get`)
+        .query({ revs: true, attachments: true, att_encoding_info: true })
+        .reply(200, { results: [{ docs: backupBatchDone.docs.map((doc) => { return { ok: doc }; }) }] });
+      const fetchedBatch = await new Backup(dbClient, { attachments: true, verifyAttachments: true }).pendingToFetched(backupBatchTodo);
+      assertBackupBatchObject(fetchedBatch, 'd', 0, backupBatchDone.docs);
+      assert.ok(nock.isDone(), 'The mocks should be done');
+    });
+  });
+
   describe('end to end mapping', function() {
     it('should correctly map a log file to a backup', async function() {
       const nock = require('nock');
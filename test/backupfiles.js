@@ -0,0 +1,99 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+
+const assert = require('node:assert');
+const { readFileSync } = require('node:fs');
+const { text } = require('node:stream/consumers');
+const { backupChainStream, readBackupFileHeader, readBackupFileLastSeq } = require('../includes/backupfiles.js');
+
+describe('#unit backup files', function() {
+  describe('readBackupFileHeader', function() {
+    it('should read the header of a backup file', async function() {
+      const header = await readBackupFileHeader('./test/fixtures/animaldb_expected.json');
+      assert.deepStrictEqual(header, {
+        name: '@cloudant/couchbackup',
+        version: '2.9.10',
+        mode: 'full',
+        attachments: false
+      });
+    });
+
+    it('should read the header of a compressed backup file', async function() {
+      const header = await readBackupFileHeader('./test/fixtures/animaldb_expected.json.gz');
+      assert.deepStrictEqual(header, {
+        name: '@cloudant/couchbackup',
+        version: '2.9.10',
+        mode: 'full'
+      });
+    });
+
+    it('should return null for a backup file without a header', async function() {
+      const header = await readBackupFileHeader('./test/fixtures/animaldb_old_shallow.json');
+      assert.strictEqual(header, null);
+    });
+  });
+
+  describe('readBackupFileLastSeq', function() {
+    it('should read the last sequence from the header of a full mode backup file', async function() {
+      assert.strictEqual(await readBackupFileLastSeq('./test/fixtures/chain_full.txt'), '2-abc');
+    });
+
+    it('should read the last sequence from the last trailer of a continuous mode backup file', async function() {
+      assert.strictEqual(await readBackupFileLastSeq('./test/fixtures/chain_continuous.txt'), '2-abc');
+    });
+
+    it('should return undefined for a backup file without a last sequence', async function() {
+      assert.strictEqual(await readBackupFileLastSeq('./test/fixtures/animaldb_expected.json'), undefined);
+    });
+  });
+
+  describe('backupChainStream', function() {
+    it('should stream a chain of backup files in order', async function() {
+      const files = ['./test/fixtures/chain_full.txt', './test/fixtures/chain_incremental.txt'];
+      const expected = files.map((file) => `${readFileSync(file, 'utf8')}\n`).join('');
+      assert.strictEqual(await text(backupChainStream(files)), expected);
+    });
+
+    it('should stream a chain of compressed backup files', async function() {
+      const files = ['./test/fixtures/chain_full.txt', './test/fixtures/chain_incremental.txt.gz'];
+      const expected = ['./test/fixtures/chain_full.txt', './test/fixtures/chain_incremental.txt']
+        .map((file) => `${readFileSync(file, 'utf8')}\n`).join('');
+      assert.strictEqual(await text(backupChainStream(files)), expected);
+    });
+
+    it('should stream a chain of backup files starting from a continuous backup', async function() {
+      const files = ['./test/fixtures/chain_continuous.txt', './test/fixtures/chain_incremental.txt'];
+      const expected = files.map((file) => `${readFileSync(file, 'utf8')}\n`).join('');
+      assert.strictEqual(await text(backupChainStream(files)), expected);
+    });
+
+    it('should error for a backup file that does not chain', async function() {
+      const files = ['./test/fixtures/chain_full.txt', './test/fixtures/chain_unrelated.txt'];
+      return assert.rejects(text(backupChainStream(files)), {
+        name: 'BackupChainError',
+        message: './test/fixtures/chain_unrelated.txt: Backup file since sequence 3-xyz does not match the previous backup file last sequence 2-abc.'
+      });
+    });
+
+    it('should error for a backup file without metadata in a chain', async function() {
+      const files = ['./test/fixtures/chain_full.txt', './test/fixtures/animaldb_old_shallow.json'];
+      return assert.rejects(text(backupChainStream(files)), {
+        name: 'BackupChainError',
+        message: 'Backup file ./test/fixtures/animaldb_old_shallow.json has no metadata so it cannot be chained.'
+      });
+    });
+  });
+});
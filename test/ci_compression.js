@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -58,6 +58,16 @@ const u = require('./citestutils.js');
       });
     });
 
+    it('should backup and restore animaldb via a file with built-in compression', async function() {
+      // Allow up to 60 s for backup and restore of animaldb
+      u.setTimeout(this, 60);
+      const compressedBackup = `./${this.fileName}`;
+      const builtIn = u.p(params, { opts: { compress: 'gzip' } });
+      return u.testBackupAndRestoreViaFile(builtIn, 'animaldb', compressedBackup, this.dbName).then(() => {
+        return u.assertGzipFile(compressedBackup);
+      });
+    });
+
     it('should backup and restore animaldb via a compressed stream', async function() {
       // Allow up to 60 s for backup and restore of animaldb
       u.setTimeout(this, 60);
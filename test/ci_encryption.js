@@ -1,4 +1,4 @@
-// Copyright © 2017, 2023 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -12,8 +12,12 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-/* global describe it */
+/* global describe it before after */
 
+const { randomBytes } = require('node:crypto');
+const { mkdtempSync, rmSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
 const u = require('./citestutils.js');
 
 describe('Encryption tests', function() {
@@ -29,3 +33,28 @@ describe('Encryption tests', function() {
     });
   });
 });
+
+[{ useApi: true }, { useApi: false }].forEach(function(params) {
+  describe(u.scenario('Built-in encryption tests', params), function() {
+    let dir;
+    let p;
+
+    before('Create a key file', function() {
+      dir = mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+      const encryptionKeyFile = join(dir, 'backup.key');
+      writeFileSync(encryptionKeyFile, randomBytes(32).toString('hex'));
+      p = u.p(params, { opts: { encrypt: true, encryptionKeyFile } });
+    });
+
+    after('Remove the key file', function() {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should backup and restore animaldb via an encrypted file', async function() {
+      // Allow up to 60 s for backup and restore of animaldb
+      u.setTimeout(this, 60);
+      const encryptedBackup = `./${this.fileName}`;
+      return u.testBackupAndRestoreViaFile(p, 'animaldb', encryptedBackup, this.dbName);
+    });
+  });
+});
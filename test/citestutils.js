@@ -1,4 +1,4 @@
-// Copyright © 2017, 2025 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -394,7 +394,10 @@ async function backupFileCompare(actualContentPath, expectedContentPath) {
     // We only do this comparison with small files, so putting everything in memory is OK
     const actualLines = [];
     for await (const actualLine of actualFile.readLines({ encoding: 'utf-8' })) {
-      actualLines.push(actualLine);
+      // The expected backups predate the trailer
+      if (!actualLine.startsWith('{"trailer":')) {
+        actualLines.push(actualLine);
+      }
     }
     for await (const expectedLine of expectedFile.readLines({ encoding: 'utf-8' })) {
       const actualLine = actualLines.shift();
@@ -423,6 +426,11 @@ function readSortAndDeepEqual(actutalJsonToParse, expectedJsonToParse) {
       delete backupContent.version;
       delete expectedContent.version;
     }
+    // The sequence, time and database settings vary between databases and backups
+    for (const key of ['lastSeq', 'timestamp', 'partitioned', 'q', 'security', 'revsLimit', 'trailer']) {
+      delete backupContent[key];
+      delete expectedContent[key];
+    }
   }
   // Assert that the backup matches the expected
   assert.deepStrictEqual(backupContent, expectedContent);
@@ -0,0 +1,104 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+
+const assert = require('node:assert');
+const { PassThrough, Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+const { finished } = require('node:stream/promises');
+const { gunzipSync, gzipSync } = require('node:zlib');
+const { CompressingWritable, compressions, decompress } = require('../includes/compression.js');
+const { RESUME_COMMENT } = require('../includes/restoreMappings.js');
+
+describe('#unit compression', function() {
+  const lines = [
+    '{"name":"@cloudant/couchbackup","version":"2.11.20","mode":"full"}\n',
+    '[{"_id":"aardvark","_rev":"1-a","class":"mammal"}]\n',
+    '[{"_id":"badger","_rev":"1-b","class":"mammal"}]\n'
+  ];
+
+  async function compress(compression, chunks) {
+    const target = new PassThrough();
+    const compressing = new CompressingWritable(compression, target);
+    for (const chunk of chunks) {
+      compressing.write(chunk);
+    }
+    compressing.end();
+    const [compressed] = await Promise.all([buffer(target), finished(compressing)]);
+    return compressed;
+  }
+
+  function decompressed(bytes) {
+    return text(decompress(Readable.from([bytes])));
+  }
+
+  for (const compression of ['gzip', 'brotli', 'zstd']) {
+    // zstd is only available in newer versions of Node.js
+    (compressions.includes(compression) ? it : it.skip)(`should decompress a ${compression} compressed backup`, async function() {
+      const compressed = await compress(compression, lines);
+      assert.notStrictEqual(compressed.indexOf(lines[0]), 0);
+      assert.strictEqual(await decompressed(compressed), lines.join(''));
+    });
+  }
+
+  it('should write gzip frames that other tools can decompress', async function() {
+    const compressed = await compress('gzip', lines);
+    assert.deepStrictEqual(compressed.subarray(0, 2), Buffer.from([0x1f, 0x8b]));
+    assert.strictEqual(gunzipSync(compressed).toString('utf-8'), lines.join(''));
+  });
+
+  it('should decompress frames read in small chunks', async function() {
+    const compressed = await compress('brotli', lines);
+    const chunks = [];
+    for (let i = 0; i < compressed.length; i += 7) {
+      chunks.push(compressed.subarray(i, i + 7));
+    }
+    assert.strictEqual(await text(decompress(Readable.from(chunks))), lines.join(''));
+  });
+
+  it('should skip an incomplete frame before a resume marker', async function() {
+    const interrupted = await compress('gzip', lines.slice(0, 2));
+    const incomplete = (await compress('gzip', [lines[2]])).subarray(0, 30);
+    const resumed = await compress('gzip', [`${RESUME_COMMENT}\n`, lines[2]]);
+    assert.strictEqual(await decompressed(Buffer.concat([interrupted, incomplete, resumed])),
+      `${lines[0]}${lines[1]}${RESUME_COMMENT}\n${lines[2]}`);
+  });
+
+  it('should error for an incomplete frame at the end of the backup', async function() {
+    const compressed = await compress('gzip', lines);
+    await assert.rejects(decompressed(compressed.subarray(0, compressed.length - 10)), {
+      name: 'BackupFileCompressionError'
+    });
+  });
+
+  it('should decompress a backup compressed by the gzip tool', async function() {
+    assert.strictEqual(await decompressed(gzipSync(lines.join(''))), lines.join(''));
+  });
+
+  it('should error for a truncated backup compressed by the gzip tool', async function() {
+    const compressed = gzipSync(lines.join(''));
+    await assert.rejects(decompressed(compressed.subarray(0, compressed.length - 10)), {
+      name: 'BackupFileCompressionError'
+    });
+  });
+
+  it('should pass through an uncompressed backup', async function() {
+    assert.strictEqual(await decompressed(Buffer.from(lines.join(''))), lines.join(''));
+  });
+
+  it('should pass through an empty backup', async function() {
+    assert.strictEqual(await decompressed(Buffer.alloc(0)), '');
+  });
+});
@@ -87,6 +87,13 @@ describe('#unit Configuration', function() {
     assert.strictEqual(config.iamTokenUrl, u);
   });
 
+  it('respects the COUCH_ENCRYPTION_PASSPHRASE env variable', function() {
+    process.env.COUCH_ENCRYPTION_PASSPHRASE = 'correct horse';
+    const config = {};
+    applyEnvVars(config);
+    assert.strictEqual(config.encryptionPassphrase, 'correct horse');
+  });
+
   it('respects the COUCH_LOG env variable', function() {
     process.env.COUCH_LOG = 'my.log';
     const config = {};
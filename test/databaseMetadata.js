@@ -0,0 +1,134 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it beforeEach */
+
+const assert = require('node:assert');
+const nock = require('nock');
+const { applyDatabaseMetadata, createDatabase, readDatabaseMetadata, readDatabaseProperties } = require('../includes/databaseMetadata.js');
+const { newClient } = require('../includes/request.js');
+
+describe('#unit database metadata', function() {
+  const dbUrl = 'http://localhost:5984/animaldb';
+  const dbClient = newClient(dbUrl, {});
+  // Disable compression to make body assertions easier
+  dbClient.service.setEnableGzipCompression(false);
+  const security = {
+    admins: { names: ['alice'], roles: ['admins'] },
+    members: { names: [], roles: ['readers'] },
+    couchdb_auth_only: true
+  };
+
+  beforeEach('Reset nocks', function() {
+    nock.cleanAll();
+  });
+
+  describe('readDatabaseProperties', function() {
+    it('should read the partitioned flag and shard count', async function() {
+      const couch = nock(dbUrl)
+        .get('')
+        .reply(200, { db_name: 'animaldb', props: { partitioned: true }, cluster: { q: 16, n: 3, w: 2, r: 2 } });
+      assert.deepStrictEqual(await readDatabaseProperties(dbClient), { partitioned: true, q: 16 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should read a database that is not partitioned', async function() {
+      const couch = nock(dbUrl)
+        .get('')
+        .reply(200, { db_name: 'animaldb', props: {}, cluster: { q: 2, n: 1, w: 1, r: 1 } });
+      assert.deepStrictEqual(await readDatabaseProperties(dbClient), { partitioned: false, q: 2 });
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('createDatabase', function() {
+    it('should create a database with the backed up properties', async function() {
+      const couch = nock(dbUrl)
+        .put('')
+        .query({ partitioned: true, q: 16 })
+        .reply(201, { ok: true });
+      await createDatabase(dbClient, { name: 'couchbackup', version: '2.11.20', mode: 'full', partitioned: true, q: 16 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should create a database with the default shard count if the server does not allow it', async function() {
+      const couch = nock(dbUrl)
+        .put('')
+        .query({ partitioned: false, q: 16 })
+        .reply(400, { error: 'bad_request', reason: 'q is not allowed' })
+        .put('')
+        .query({ partitioned: false })
+        .reply(201, { ok: true });
+      await createDatabase(dbClient, { name: 'couchbackup', version: '2.11.20', mode: 'full', partitioned: false, q: 16 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should create a database for a backup file without metadata', async function() {
+      const couch = nock(dbUrl)
+        .put('')
+        .reply(201, { ok: true });
+      await createDatabase(dbClient);
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('readDatabaseMetadata', function() {
+    it('should read the security and revision limit', async function() {
+      const couch = nock(dbUrl)
+        .get('/_security')
+        .reply(200, security)
+        .get('/_revs_limit')
+        .reply(200, '1000\n', { 'Content-Type': 'application/json' });
+      assert.deepStrictEqual(await readDatabaseMetadata(dbClient), { security, revsLimit: 1000 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should leave out the security if reading it is forbidden', async function() {
+      const couch = nock(dbUrl)
+        .get('/_security')
+        .reply(403, { error: 'forbidden', reason: 'You are not allowed to access this db.' })
+        .get('/_revs_limit')
+        .reply(200, '1000\n', { 'Content-Type': 'application/json' });
+      assert.deepStrictEqual(await readDatabaseMetadata(dbClient), { revsLimit: 1000 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should error for other HTTP errors', async function() {
+      const couch = nock(dbUrl)
+        .get('/_security')
+        .reply(400, { error: 'bad_request', reason: 'testing bad response' });
+      await assert.rejects(readDatabaseMetadata(dbClient), { status: 400 });
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('applyDatabaseMetadata', function() {
+    it('should apply the security and revision limit', async function() {
+      const couch = nock(dbUrl)
+        .put('/_security', security)
+        .reply(200, { ok: true })
+        .put('/_revs_limit', '500')
+        .reply(200, { ok: true });
+      await applyDatabaseMetadata(dbClient, { name: 'couchbackup', version: '2.11.20', mode: 'full', security, revsLimit: 500 });
+      assert.ok(couch.isDone());
+    });
+
+    it('should error for metadata without security', async function() {
+      return assert.rejects(applyDatabaseMetadata(dbClient, { name: 'couchbackup', version: '2.11.20', mode: 'full' }), {
+        name: 'SecurityMetadataAbsent',
+        message: 'Cannot restore the database security because the backup file does not record it.'
+      });
+    });
+  });
+});
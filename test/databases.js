@@ -0,0 +1,335 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it beforeEach afterEach */
+
+const assert = require('node:assert');
+const { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { setTimeout } = require('node:timers/promises');
+const nock = require('nock');
+const { backupDatabases, restoreDatabases } = require('../app.js');
+const { databaseFileName, forEachDatabase, globToRegExp, listBackupFiles, listDatabases } = require('../includes/databases.js');
+const { newClient } = require('../includes/request.js');
+
+describe('#unit multiple databases', function() {
+  const serverUrl = 'http://localhost:5984';
+
+  beforeEach('Reset nocks', function() {
+    nock.cleanAll();
+  });
+
+  describe('globToRegExp', function() {
+    it('should match any characters for *', function() {
+      const regExp = globToRegExp('orders_*');
+      assert.ok(regExp.test('orders_'));
+      assert.ok(regExp.test('orders_2026'));
+      assert.ok(!regExp.test('old_orders_2026'));
+    });
+
+    it('should match a single character for ?', function() {
+      const regExp = globToRegExp('db?');
+      assert.ok(regExp.test('db1'));
+      assert.ok(!regExp.test('db'));
+      assert.ok(!regExp.test('db10'));
+    });
+
+    it('should match other characters literally', function() {
+      const regExp = globToRegExp('a+b/(c)$');
+      assert.ok(regExp.test('a+b/(c)$'));
+      assert.ok(!regExp.test('aab/(c)$'));
+    });
+  });
+
+  describe('listDatabases', function() {
+    const serverClient = newClient(`${serverUrl}/`, {});
+
+    beforeEach('Mock the database list', function() {
+      nock(serverUrl)
+        .get('/_all_dbs')
+        .reply(200, ['_replicator', '_users', 'orders_1', 'orders_2', 'users']);
+    });
+
+    it('should list all databases except the system databases', async function() {
+      assert.deepStrictEqual(await listDatabases(serverClient, { allDbs: true }), ['orders_1', 'orders_2', 'users']);
+    });
+
+    it('should list the databases matching a pattern', async function() {
+      assert.deepStrictEqual(await listDatabases(serverClient, { dbPattern: 'orders_*' }), ['orders_1', 'orders_2']);
+    });
+
+    it('should list the system databases matching a pattern', async function() {
+      assert.deepStrictEqual(await listDatabases(serverClient, { dbPattern: '_*' }), ['_replicator', '_users']);
+    });
+  });
+
+  describe('databaseFileName', function() {
+    it('should encode the database name', function() {
+      assert.strictEqual(databaseFileName('tenant/orders'), 'tenant%2Forders.txt');
+      assert.strictEqual(databaseFileName('tenant/orders', '.log'), 'tenant%2Forders.log');
+    });
+  });
+
+  describe('listBackupFiles', function() {
+    let dir;
+
+    beforeEach('Create backup directory', function() {
+      dir = mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+      for (const fileName of ['orders_2.txt', 'orders_1.txt', 'orders_1.log', 'tenant%2Fusers.txt']) {
+        writeFileSync(join(dir, fileName), '');
+      }
+    });
+
+    afterEach('Remove backup directory', function() {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should name the databases after the backup files', async function() {
+      assert.deepStrictEqual(await listBackupFiles(dir, {}), new Map([
+        ['orders_1', join(dir, 'orders_1.txt')],
+        ['orders_2', join(dir, 'orders_2.txt')],
+        ['tenant/users', join(dir, 'tenant%2Fusers.txt')]
+      ]));
+    });
+
+    it('should skip backup files not named after an encoded database name', async function() {
+      writeFileSync(join(dir, '50%.txt'), '');
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      try {
+        assert.deepStrictEqual([...(await listBackupFiles(dir, {})).keys()], ['orders_1', 'orders_2', 'tenant/users']);
+      } finally {
+        console.warn = warn;
+      }
+      assert.deepStrictEqual(warnings, ['WARNING: skipping 50%.txt, it is not named after an encoded database name']);
+    });
+
+    it('should apply the prefix and name map', async function() {
+      const backupFiles = await listBackupFiles(dir, { dbPrefix: 'restored_', dbNameMap: { orders_2: 'orders' } });
+      assert.deepStrictEqual([...backupFiles.keys()], ['restored_orders_1', 'orders', 'restored_tenant/users']);
+    });
+
+    it('should error for backup files restoring to the same database', async function() {
+      return assert.rejects(listBackupFiles(dir, { dbNameMap: { orders_2: 'orders_1' } }), {
+        name: 'InvalidOption',
+        message: 'Invalid database names, the backup files orders_1.txt and orders_2.txt both restore to database orders_1'
+      });
+    });
+  });
+
+  describe('forEachDatabase', function() {
+    it('should limit the number of databases in flight', async function() {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const results = await forEachDatabase(['a', 'b', 'c', 'd', 'e'], 2, async (dbName) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await setTimeout(10);
+        inFlight--;
+        return { total: dbName.length };
+      });
+      assert.strictEqual(maxInFlight, 2);
+      assert.deepStrictEqual(results.map((result) => result.name), ['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should continue after a database fails', async function() {
+      const completed = [];
+      const results = await forEachDatabase(['a', 'b', 'c'], 1, async (dbName) => {
+        if (dbName === 'b') {
+          throw new Error('boom');
+        }
+        return { total: 1 };
+      }, (result) => completed.push(result.name));
+      assert.deepStrictEqual(completed, ['a', 'b', 'c']);
+      assert.deepStrictEqual(results[0], { name: 'a', total: 1 });
+      assert.strictEqual(results[1].error.message, 'boom');
+      assert.deepStrictEqual(results[2], { name: 'c', total: 1 });
+    });
+  });
+
+  describe('backupDatabases', function() {
+    let outputDir;
+
+    beforeEach('Create output directory', function() {
+      outputDir = join(mkdtempSync(join(tmpdir(), 'couchbackup-test-')), 'output');
+    });
+
+    afterEach('Remove output directory', function() {
+      rmSync(join(outputDir, '..'), { recursive: true, force: true });
+    });
+
+    it('should back up each matching database and report the failures', async function() {
+      const couch = nock(serverUrl)
+        .get('/_all_dbs')
+        .reply(200, ['orders_1', 'orders_2', 'users'])
+        .head('/orders_1')
+        .reply(404, { error: 'not_found', reason: 'missing' })
+        .head('/orders_2')
+        .reply(404, { error: 'not_found', reason: 'missing' });
+
+      const databaseResults = [];
+      await new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { dbPattern: 'orders_*' }, (err) => {
+          try {
+            assert.strictEqual(err.name, 'DatabasesFailed');
+            assert.strictEqual(err.message, 'Failed to back up 2 of 2 databases: orders_1, orders_2');
+            resolve();
+          } catch (e) {
+            reject(e);
+          }
+        }).on('database', (result) => databaseResults.push(result));
+      });
+      assert.deepStrictEqual(databaseResults.map((result) => result.error.name), ['DatabaseNotFound', 'DatabaseNotFound']);
+      assert.ok(existsSync(outputDir), 'The output directory should be created');
+      assert.ok(couch.isDone());
+    });
+
+    it('should finish with no results when no databases match', async function() {
+      const couch = nock(serverUrl)
+        .get('/_all_dbs')
+        .reply(200, ['users']);
+
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      let results;
+      try {
+        results = await new Promise((resolve, reject) => {
+          backupDatabases(serverUrl, outputDir, { dbPattern: 'orders_*' }, (err, data) => err ? reject(err) : resolve(data));
+        });
+      } finally {
+        console.warn = warn;
+      }
+      assert.deepStrictEqual(results, []);
+      assert.deepStrictEqual(warnings, []);
+      assert.ok(couch.isDone());
+    });
+
+    it('should not overwrite an earlier backup without the resume option', async function() {
+      mkdirSync(outputDir);
+      writeFileSync(join(outputDir, 'a.txt'), 'PREVIOUS BACKUP CONTENT');
+      writeFileSync(join(outputDir, 'a.log'), ':t changes\n');
+      const couch = nock(serverUrl)
+        .get('/_all_dbs')
+        .reply(200, ['a']);
+
+      const databaseResults = [];
+      await assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { dbPattern: 'a' }, (err) => err ? reject(err) : resolve())
+          .on('database', (result) => databaseResults.push(result));
+      }), { name: 'DatabasesFailed', message: 'Failed to back up 1 of 1 databases: a' });
+      assert.deepStrictEqual(databaseResults.map((result) => result.error.name), ['BackupFileExists']);
+      assert.strictEqual(readFileSync(join(outputDir, 'a.txt'), 'utf-8'), 'PREVIOUS BACKUP CONTENT');
+      assert.ok(couch.isDone());
+    });
+
+    it('should require a database selection option', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, {}, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: 'Invalid database selection, one of the allDbs or dbPattern options is required' });
+    });
+
+    it('should reject the since option', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { allDbs: true, since: '0' }, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: 'Invalid since option, it cannot be used when backing up multiple databases' });
+    });
+
+    it('should reject continuous mode', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { allDbs: true, mode: 'continuous' }, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: 'Invalid mode option, "continuous" mode cannot be used when backing up multiple databases' });
+    });
+
+    it('should reject the maxVolumeSize option', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { allDbs: true, maxVolumeSize: 1024, output: 'backup.txt' }, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: 'Invalid maxVolumeSize option, it cannot be used when backing up multiple databases' });
+    });
+
+    it('should reject an invalid database parallelism', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        backupDatabases(serverUrl, outputDir, { allDbs: true, dbParallelism: 0 }, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: 'Invalid db parallelism option, must be a positive integer in the range (0, MAX_SAFE_INTEGER]' });
+    });
+  });
+
+  describe('restoreDatabases', function() {
+    let inputDir;
+
+    beforeEach('Create backup directory', function() {
+      inputDir = join(mkdtempSync(join(tmpdir(), 'couchbackup-test-')), 'input');
+      mkdirSync(inputDir);
+      writeFileSync(join(inputDir, 'orders_1.txt'), '[]\n');
+      writeFileSync(join(inputDir, 'orders_2.txt'), '[]\n');
+    });
+
+    afterEach('Remove backup directory', function() {
+      rmSync(join(inputDir, '..'), { recursive: true, force: true });
+    });
+
+    it('should create the databases and report the failures', async function() {
+      const couch = nock(serverUrl)
+        .get('/restored_orders_1')
+        .reply(404, { error: 'not_found', reason: 'Database does not exist.' })
+        .put('/restored_orders_1')
+        .reply(201, { ok: true })
+        .get('/restored_orders_2')
+        .reply(200, { doc_count: 1, doc_del_count: 0 });
+
+      const databaseResults = [];
+      await new Promise((resolve, reject) => {
+        restoreDatabases(serverUrl, inputDir, { dbPrefix: 'restored_', dbParallelism: 1 }, (err) => {
+          try {
+            assert.strictEqual(err.name, 'DatabasesFailed');
+            assert.strictEqual(err.message, 'Failed to restore 1 of 2 databases: restored_orders_2');
+            resolve();
+          } catch (e) {
+            reject(e);
+          }
+        }).on('database', (result) => databaseResults.push(result));
+      });
+      assert.deepStrictEqual(databaseResults[0], { name: 'restored_orders_1', file: join(inputDir, 'orders_1.txt'), total: 0 });
+      assert.strictEqual(databaseResults[1].name, 'restored_orders_2');
+      assert.strictEqual(databaseResults[1].error.name, 'DatabaseNotEmpty');
+      assert.ok(couch.isDone());
+    });
+
+    it('should finish with no results for a directory without backup files', async function() {
+      const emptyDir = join(inputDir, 'empty');
+      mkdirSync(emptyDir);
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      let results;
+      try {
+        results = await new Promise((resolve, reject) => {
+          restoreDatabases(serverUrl, emptyDir, {}, (err, data) => err ? reject(err) : resolve(data));
+        });
+      } finally {
+        console.warn = warn;
+      }
+      assert.deepStrictEqual(results, []);
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    it('should reject a missing input directory', async function() {
+      return assert.rejects(new Promise((resolve, reject) => {
+        restoreDatabases(serverUrl, join(inputDir, 'missing'), {}, (err) => err ? reject(err) : resolve());
+      }), { name: 'InvalidOption', message: `Invalid input directory, ${join(inputDir, 'missing')} does not exist` });
+    });
+  });
+});
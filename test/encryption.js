@@ -0,0 +1,257 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it before after */
+
+const assert = require('node:assert');
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { PassThrough, Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+const { finished } = require('node:stream/promises');
+const { decrypt, EncryptingWritable } = require('../includes/encryption.js');
+
+describe('#unit encryption', function() {
+  const lines = [
+    '{"name":"@cloudant/couchbackup","version":"2.11.20","mode":"full"}\n',
+    '[{"_id":"aardvark","_rev":"1-a","class":"mammal"}]\n',
+    '[{"_id":"badger","_rev":"1-b","class":"mammal"}]\n'
+  ];
+  let dir;
+  let keyFile;
+  let otherKeyFile;
+
+  before('Create key files', function() {
+    dir = mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+    keyFile = join(dir, 'backup.key');
+    otherKeyFile = join(dir, 'other.key');
+    writeFileSync(keyFile, `${'0123456789abcdef'.repeat(4)}\n`);
+    writeFileSync(otherKeyFile, Buffer.alloc(32, 1));
+  });
+
+  after('Remove key files', function() {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function encrypt(options, chunks) {
+    const target = new PassThrough();
+    const encrypting = new EncryptingWritable(options, target);
+    for (const chunk of chunks) {
+      encrypting.write(chunk);
+    }
+    encrypting.end();
+    const [encrypted] = await Promise.all([buffer(target), finished(encrypting)]);
+    return encrypted;
+  }
+
+  // Split an encrypted backup into its preamble and frame records
+  function records(bytes) {
+    const split = [];
+    for (let offset = 0; offset < bytes.length; offset += 8 + bytes.readUInt32LE(offset + 4)) {
+      split.push(bytes.subarray(offset, offset + 8 + bytes.readUInt32LE(offset + 4)));
+    }
+    return split;
+  }
+
+  function decrypted(options, bytes) {
+    return text(decrypt(options)(Readable.from([bytes])));
+  }
+
+  it('should decrypt a backup encrypted with a key file', async function() {
+    const encrypted = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    assert.strictEqual(encrypted.indexOf('aardvark'), -1);
+    assert.strictEqual(await decrypted({ encryptionKeyFile: keyFile }, encrypted), lines.join(''));
+  });
+
+  it('should decrypt a backup encrypted with a passphrase', async function() {
+    const encrypted = await encrypt({ encryptionPassphrase: 'correct horse' }, lines);
+    assert.strictEqual(encrypted.indexOf('aardvark'), -1);
+    assert.strictEqual(await decrypted({ encryptionPassphrase: 'correct horse' }, encrypted), lines.join(''));
+  });
+
+  it('should record the encryption parameters in a cleartext preamble', async function() {
+    const encrypted = await encrypt({ encryptionPassphrase: 'correct horse' }, lines);
+    const preamble = JSON.parse(encrypted.subarray(8, 8 + encrypted.readUInt32LE(4)).toString('utf-8'));
+    assert.strictEqual(preamble.cipher, 'aes-256-gcm');
+    assert.strictEqual(preamble.kdf, 'scrypt');
+    assert.strictEqual(typeof preamble.salt, 'string');
+    assert.match(preamble.keyId, /^[0-9a-f]{16}$/);
+  });
+
+  it('should end an encrypted backup with a final frame', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    assert.strictEqual(encrypted.length, lines.length + 2);
+    assert.strictEqual(encrypted.at(-1).subarray(0, 4).toString('latin1'), '\x89CBF');
+  });
+
+  it('should decrypt a resumed backup with an incomplete frame', async function() {
+    const options = { encryptionPassphrase: 'correct horse', log: join(dir, 'resumed.log') };
+    // An interrupted backup ends with an incomplete frame instead of the final frame
+    const written = records(await encrypt(options, lines));
+    const interrupted = Buffer.concat([...written.slice(0, 3), written[3].subarray(0, 40)]);
+    const resumed = await encrypt({ ...options, resume: true }, [lines[2]]);
+    assert.strictEqual(await decrypted(options, Buffer.concat([interrupted, resumed])), lines.join(''));
+  });
+
+  it('should record the encrypted segments of the backup file in the log file', async function() {
+    const options = { encryptionKeyFile: keyFile, log: join(dir, 'segments.log') };
+    const first = JSON.parse(records(await encrypt(options, lines))[0].subarray(8));
+    const resumed = JSON.parse(records(await encrypt({ ...options, resume: true }, lines))[0].subarray(8));
+    assert.match(first.fileId, /^[0-9a-f]{32}$/);
+    assert.strictEqual(first.segment, 0);
+    assert.strictEqual(resumed.fileId, first.fileId);
+    assert.strictEqual(resumed.segment, 1);
+    assert.strictEqual(readFileSync(options.log, 'utf-8'),
+      `:encryption {"fileId":"${first.fileId}","segment":0}\n:encryption {"fileId":"${first.fileId}","segment":1}\n`);
+  });
+
+  it('should error for a frame of another backup encrypted with the same key', async function() {
+    const a = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    const b = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([a[0], a[1], b[2], ...a.slice(3)])),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for another backup appended to an incomplete backup', async function() {
+    const a = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    const b = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([a[0], a[1], b])), {
+      name: 'BackupFileDecryptionError',
+      message: `The encrypted backup file is incomplete, the frames before byte ${a[0].length + a[1].length} do not end with the final encrypted frame.`
+    });
+  });
+
+  it('should error for a backup without its first segment', async function() {
+    const options = { encryptionKeyFile: keyFile, log: join(dir, 'first.log') };
+    await encrypt(options, lines);
+    const resumed = await encrypt({ ...options, resume: true }, lines);
+    await assert.rejects(decrypted(options, resumed), {
+      name: 'BackupFileDecryptionError',
+      message: 'The encrypted backup file is incomplete, it starts with segment 1 instead of the first segment.'
+    });
+  });
+
+  it('should error for a dropped frame', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([encrypted[0], ...encrypted.slice(2)])),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for reordered frames', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([encrypted[0], encrypted[2], encrypted[1], ...encrypted.slice(3)])),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for a backup truncated at a frame boundary', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat(encrypted.slice(0, -1))), {
+      name: 'BackupFileDecryptionError',
+      message: 'The encrypted backup file is incomplete, it does not end with the final encrypted frame.'
+    });
+  });
+
+  it('should error for a backup truncated within a frame', async function() {
+    const encrypted = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, encrypted.subarray(0, encrypted.length - 50)),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for an incomplete frame that is not followed by a resumed backup', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([encrypted[0], encrypted[1].subarray(0, 40), ...encrypted.slice(2)])),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for frames after the final frame', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, Buffer.concat([...encrypted, encrypted[1]])),
+      { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should warn for a truncated backup with the allowUnverified option', async function() {
+    const encrypted = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      assert.strictEqual(await decrypted({ encryptionKeyFile: keyFile, allowUnverified: true }, Buffer.concat(encrypted.slice(0, -1))),
+        lines.join(''));
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, ['WARNING: The encrypted backup file is incomplete, it does not end with the final encrypted frame.']);
+  });
+
+  it('should warn for another backup appended to an incomplete backup with the allowUnverified option', async function() {
+    const a = records(await encrypt({ encryptionKeyFile: keyFile }, lines));
+    const b = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      assert.strictEqual(await decrypted({ encryptionKeyFile: keyFile, allowUnverified: true }, Buffer.concat([a[0], a[1], b])),
+        lines[0] + lines.join(''));
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, [`WARNING: The encrypted backup file is incomplete, the frames before byte ${a[0].length + a[1].length} do not end with the final encrypted frame.`]);
+  });
+
+  it('should error for a backup encrypted with a different key', async function() {
+    const encrypted = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    await assert.rejects(decrypted({ encryptionKeyFile: otherKeyFile }, encrypted), { name: 'EncryptionKeyMismatch' });
+  });
+
+  it('should error for an encrypted backup without a key', async function() {
+    const encrypted = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    await assert.rejects(decrypted({}, encrypted), {
+      name: 'EncryptionKeyAbsent',
+      message: 'The backup file is encrypted with a key file, use the encryptionKeyFile option to decrypt it.'
+    });
+  });
+
+  it('should error for a frame that fails authentication', async function() {
+    const encrypted = await encrypt({ encryptionKeyFile: keyFile }, lines);
+    // Change the last byte of the last frame's authentication tag
+    encrypted[encrypted.length - 1] ^= 1;
+    await assert.rejects(decrypted({ encryptionKeyFile: keyFile }, encrypted), { name: 'BackupFileDecryptionError' });
+  });
+
+  it('should error for scrypt parameters above the limits', async function() {
+    const encrypted = await encrypt({ encryptionPassphrase: 'correct horse' }, lines);
+    const preamble = JSON.parse(encrypted.subarray(8, 8 + encrypted.readUInt32LE(4)).toString('utf-8'));
+    for (const params of [{ N: 1048576 }, { r: 64 }, { p: 16 }, { N: 1000 }]) {
+      const content = Buffer.from(JSON.stringify({ ...preamble, ...params }));
+      const header = Buffer.alloc(8);
+      encrypted.copy(header, 0, 0, 4);
+      header.writeUInt32LE(content.length, 4);
+      await assert.rejects(decrypted({ encryptionPassphrase: 'correct horse' }, Buffer.concat([header, content])), {
+        name: 'BackupFileDecryptionError',
+        message: 'Invalid scrypt parameters in the backup file preamble, N, r and p must be at most 32768, 8 and 1.'
+      });
+    }
+  });
+
+  it('should error for a key file without a 256-bit key', async function() {
+    const badKeyFile = join(dir, 'bad.key');
+    writeFileSync(badKeyFile, 'not a key');
+    await assert.rejects(encrypt({ encryptionKeyFile: badKeyFile }, lines), { name: 'InvalidOption' });
+  });
+
+  it('should pass through an unencrypted backup', async function() {
+    assert.strictEqual(await decrypted({}, Buffer.from(lines.join(''))), lines.join(''));
+  });
+});
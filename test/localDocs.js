@@ -0,0 +1,82 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it beforeEach */
+
+const assert = require('node:assert');
+const { PassThrough } = require('node:stream');
+const { text } = require('node:stream/consumers');
+const nock = require('nock');
+const { backupLocalDocs, restoreLocalDocs } = require('../includes/localDocs.js');
+const { newClient } = require('../includes/request.js');
+
+describe('#unit local documents', function() {
+  const dbUrl = 'http://localhost:5984/animaldb';
+  const dbClient = newClient(dbUrl, {});
+  // Disable compression to make body assertions easier
+  dbClient.service.setEnableGzipCompression(false);
+  const localDocs = [
+    { _id: '_local/device1', _rev: '0-1', state: 'a' },
+    { _id: '_local/device2', _rev: '0-3', state: 'b' },
+    { _id: '_local/device3', _rev: '0-1', state: 'c' }
+  ];
+
+  function localDocsRows(docs) {
+    return { total_rows: null, offset: null, rows: docs.map(doc => ({ id: doc._id, key: doc._id, value: { rev: doc._rev }, doc })) };
+  }
+
+  beforeEach('Reset nocks', function() {
+    nock.cleanAll();
+  });
+
+  describe('backupLocalDocs', function() {
+    it('should write pages of local docs as records', async function() {
+      const couch = nock(dbUrl)
+        .post('/_local_docs', { include_docs: true, limit: 2 })
+        .reply(200, localDocsRows(localDocs.slice(0, 2)))
+        .post('/_local_docs', { include_docs: true, limit: 2, start_key: '_local/device2\0' })
+        .reply(200, localDocsRows(localDocs.slice(2)));
+      const output = new PassThrough();
+      const total = await backupLocalDocs(dbClient, { bufferSize: 2 }, output);
+      output.end();
+      assert.strictEqual(total, 3);
+      assert.strictEqual(await text(output),
+        `${JSON.stringify({ localDocs: localDocs.slice(0, 2) })}\n${JSON.stringify({ localDocs: localDocs.slice(2) })}\n`);
+      assert.ok(couch.isDone());
+    });
+
+    it('should write nothing for a database without local docs', async function() {
+      const couch = nock(dbUrl)
+        .post('/_local_docs', { include_docs: true, limit: 2 })
+        .reply(200, localDocsRows([]));
+      const output = new PassThrough();
+      assert.strictEqual(await backupLocalDocs(dbClient, { bufferSize: 2 }, output), 0);
+      output.end();
+      assert.strictEqual(await text(output), '');
+      assert.ok(couch.isDone());
+    });
+  });
+
+  describe('restoreLocalDocs', function() {
+    it('should put each local doc without its revision', async function() {
+      const couch = nock(dbUrl)
+        .put('/_local/device1', { _id: '_local/device1', state: 'a' })
+        .reply(201, { ok: true, id: '_local/device1', rev: '0-1' })
+        .put('/_local/device2', { _id: '_local/device2', state: 'b' })
+        .reply(201, { ok: true, id: '_local/device2', rev: '0-1' });
+      assert.strictEqual(await restoreLocalDocs(dbClient, localDocs.slice(0, 2)), 2);
+      assert.ok(couch.isDone());
+    });
+  });
+});
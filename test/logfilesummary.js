@@ -1,4 +1,4 @@
-// Copyright © 2017, 2023 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -27,4 +27,39 @@ describe('#unit Fetching summary from the log file', function() {
     assert.deepStrictEqual(summary.batches.get(1), true);
     assert.deepStrictEqual(summary.batches.get(4), true);
   });
+
+  it('should fetch the last sequence from the log file', async function() {
+    const summary = await logFileSummary('./test/fixtures/test2.log');
+    assert.strictEqual(summary.changesComplete, true);
+    assert.strictEqual(summary.lastSeq, '1-abcetc');
+  });
+
+  it('should not have a last sequence if none was recorded', async function() {
+    const summary = await logFileSummary('./test/fixtures/test.log');
+    assert.strictEqual(summary.lastSeq, undefined);
+  });
+
+  it('should fetch the last checkpoint and batch from a continuous log file', async function() {
+    const summary = await logFileSummary('./test/fixtures/continuous.log');
+    assert.strictEqual(summary.changesComplete, false);
+    assert.strictEqual(summary.checkpoint, '3-def');
+    assert.strictEqual(summary.lastBatch, 2);
+  });
+
+  it('should fetch the last encrypted segment from the log file', async function() {
+    const summary = await logFileSummary('./test/fixtures/encrypted.log');
+    assert.strictEqual(summary.changesComplete, true);
+    assert.deepStrictEqual(summary.batches, new Map([[1, true]]));
+    assert.deepStrictEqual(summary.encryptionSegment, { fileId: '0123456789abcdef0123456789abcdef', segment: 1 });
+  });
+
+  it('should fetch the last state of each range from a shallow log file', async function() {
+    const summary = await logFileSummary('./test/fixtures/shallow.log');
+    assert.strictEqual(summary.lastBatch, 2);
+    assert.strictEqual(summary.batches.size, 0);
+    assert.deepStrictEqual(summary.ranges, new Map([
+      [0, { endKey: 'c', inclusiveEnd: false, startKey: 'b\0', complete: false }],
+      [1, { startKey: 'd\0', complete: true }]
+    ]));
+  });
 });
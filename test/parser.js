@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -233,6 +233,119 @@ describe('#unit Default parameters', function() {
       assert.strictEqual(typeof program.attachments, 'boolean');
       assert.strictEqual(program.attachments, true);
     });
+
+    it('respects the backup --attachments-dir command-line parameter', function() {
+      process.argv = ['node', 'test', '--attachments', '--attachments-dir', 'attachments'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.attachmentsDir, 'attachments');
+    });
+
+    it('respects the backup attachment filter command-line parameters', function() {
+      process.argv = ['node', 'test', '--attachments', '--max-attachment-size', '1048576', '--attachment-content-types', 'image/*,text/plain'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.maxAttachmentSize, 1048576);
+      assert.strictEqual(program.attachmentContentTypes, 'image/*,text/plain');
+    });
+
+    it('respects the backup --compress command-line parameter', function() {
+      process.argv = ['node', 'test', '--compress', 'gzip'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.compress, 'gzip');
+    });
+
+    it('respects the backup --encrypt and --encryption-key-file command-line parameters', function() {
+      process.argv = ['node', 'test', '--encrypt', '--encryption-key-file', 'backup.key'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.encrypt, true);
+      assert.strictEqual(program.encryptionKeyFile, 'backup.key');
+    });
+
+    it('respects the backup --format command-line parameter', function() {
+      process.argv = ['node', 'test', '--format', 'NDJSON'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.format, 'ndjson');
+    });
+
+    it('respects the backup --max-volume-size command-line parameter', function() {
+      process.argv = ['node', 'test', '--output', 'backup.txt', '--max-volume-size', '5GB'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.maxVolumeSize, 5 * 1024 * 1024 * 1024);
+    });
+
+    it('respects a --max-volume-size command-line parameter in bytes', function() {
+      process.argv = ['node', 'test', '--output', 'backup.txt', '--max-volume-size', '1048576'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.maxVolumeSize, 1048576);
+    });
+
+    it('respects the backup --selector command-line parameter', function() {
+      const selector = { type: 'tenant', tenant: 'a' };
+      process.argv = ['node', 'test', '--selector', JSON.stringify(selector)];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(typeof program.selector, 'object');
+      assert.deepStrictEqual(program.selector, selector);
+    });
+
+    it('respects the backup --start-key and --end-key command-line parameters', function() {
+      process.argv = ['node', 'test', '--mode', 'shallow', '--start-key', 'a', '--end-key', 'b'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.startKey, 'a');
+      assert.strictEqual(program.endKey, 'b');
+    });
+
+    it('respects the backup --id-prefix command-line parameter', function() {
+      process.argv = ['node', 'test', '--mode', 'shallow', '--id-prefix', 'cust1:'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(typeof program.idPrefix, 'string');
+      assert.strictEqual(program.idPrefix, 'cust1:');
+    });
+
+    it('respects the backup --partition command-line parameter', function() {
+      process.argv = ['node', 'test', '--partition', 'tenant1'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(typeof program.partition, 'string');
+      assert.strictEqual(program.partition, 'tenant1');
+    });
+
+    it('respects the backup --since command-line parameter', function() {
+      process.argv = ['node', 'test', '--since', '42-abc'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(typeof program.since, 'string');
+      assert.strictEqual(program.since, '42-abc');
+    });
+
+    it('respects the backup --local-docs command-line parameter', function() {
+      process.argv = ['node', 'test', '--local-docs'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.localDocs, true);
+    });
+
+    it('respects the backup --revs command-line parameter', function() {
+      process.argv = ['node', 'test', '--mode', 'shallow', '--revs'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.revs, true);
+    });
+
+    it('respects the backup --revs-limit command-line parameter', function() {
+      process.argv = ['node', 'test', '--revs-limit', '10'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.revsLimit, 10);
+    });
+
+    it('respects the backup multiple database command-line parameters', function() {
+      process.argv = ['node', 'test', '--db-pattern', 'orders_*', '--output-dir', 'backups', '--db-parallelism', '4'];
+      const program = parser.parseBackupArgs();
+      assert.strictEqual(program.dbPattern, 'orders_*');
+      assert.strictEqual(program.outputDir, 'backups');
+      assert.strictEqual(program.dbParallelism, 4);
+      // Each database has a log file in the output directory
+      assert.strictEqual(typeof program.log, 'undefined');
+    });
+
+    it('rejects an invalid backup --selector command-line parameter', function() {
+      process.argv = ['node', 'test', '--selector', '{type:'];
+      assert.throws(() => parser.parseBackupArgs(), { name: 'InvalidOption' });
+    });
   });
 
   describe('Restore command-line', function() {
@@ -300,6 +413,12 @@ describe('#unit Default parameters', function() {
       assert.strictEqual(program.url, url);
     });
 
+    it('respects the restore --encryption-key-file command-line parameter', function() {
+      process.argv = ['node', 'test', '--encryption-key-file', 'backup.key'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.encryptionKeyFile, 'backup.key');
+    });
+
     it('respects the restore --db command-line parameter', function() {
       const db = 'mydb3';
       process.argv = ['node', 'test', '--db', db];
@@ -353,5 +472,84 @@ describe('#unit Default parameters', function() {
       assert.strictEqual(typeof program.attachments, 'boolean');
       assert.strictEqual(program.attachments, true);
     });
+
+    it('respects the restore backup file command-line arguments', function() {
+      process.argv = ['node', 'test', 'full.txt', 'delta1.txt'];
+      const program = parser.parseRestoreArgs();
+      assert.deepStrictEqual(program.files, ['full.txt', 'delta1.txt']);
+    });
+
+    it('respects the restore --until-seq command-line parameter', function() {
+      process.argv = ['node', 'test', '--until-seq', '42-abc', 'full.txt'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.untilSeq, '42-abc');
+    });
+
+    it('respects the restore --until command-line parameter', function() {
+      process.argv = ['node', 'test', '--until', '2026-10-01T00:00:00Z', 'full.txt'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.until, '2026-10-01T00:00:00Z');
+    });
+
+    it('respects the restore multiple database command-line parameters', function() {
+      process.argv = ['node', 'test', '--from-dir', 'backups', '--db-prefix', 'restored_', '--db-map', '{"orders":"orders_2026"}', '--db-parallelism', '4'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.fromDir, 'backups');
+      assert.strictEqual(program.dbPrefix, 'restored_');
+      assert.deepStrictEqual(program.dbMap, { orders: 'orders_2026' });
+      assert.strictEqual(program.dbParallelism, 4);
+    });
+
+    it('respects the restore --create command-line parameter', function() {
+      process.argv = ['node', 'test', '--create'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.create, true);
+    });
+
+    it('respects the restore --restore-security command-line parameter', function() {
+      process.argv = ['node', 'test', '--restore-security'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.restoreSecurity, true);
+    });
+
+    it('respects the restore --revs-limit command-line parameter', function() {
+      process.argv = ['node', 'test', '--revs-limit', '10'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.revsLimit, 10);
+    });
+
+    it('respects the restore --winners-only command-line parameter', function() {
+      process.argv = ['node', 'test', '--winners-only'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.winnersOnly, true);
+    });
+
+    it('respects the restore --allow-unverified command-line parameter', function() {
+      process.argv = ['node', 'test', '--allow-unverified'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.allowUnverified, true);
+    });
+
+    it('respects the restore --verify-attachments command-line parameter', function() {
+      process.argv = ['node', 'test', '--attachments', '--verify-attachments'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.verifyAttachments, true);
+    });
+
+    it('respects the restore --attachments-dir command-line parameter', function() {
+      process.argv = ['node', 'test', '--attachments', '--attachments-dir', 'attachments'];
+      const program = parser.parseRestoreArgs();
+      assert.strictEqual(program.attachmentsDir, 'attachments');
+    });
+
+    it('rejects restore backup file arguments with --from-dir', function() {
+      process.argv = ['node', 'test', '--from-dir', 'backups', 'full.txt'];
+      assert.throws(() => parser.parseRestoreArgs(), { name: 'InvalidOption' });
+    });
+
+    it('rejects an invalid restore --db-map command-line parameter', function() {
+      process.argv = ['node', 'test', '--db-map', '{orders:'];
+      assert.throws(() => parser.parseRestoreArgs(), { name: 'InvalidOption' });
+    });
   });
 });
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2023 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -18,6 +18,11 @@ const assert = require('assert');
 const { EventEmitter } = require('events');
 const fs = require('fs');
 const nock = require('nock');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { promisify } = require('node:util');
+const { backup } = require('../app.js');
+const { backupChainStream } = require('../includes/backupfiles.js');
 const { newClient } = require('../includes/request.js');
 const restorePipeline = require('../includes/restore.js');
 
@@ -32,11 +37,11 @@ describe('#unit Check database restore', function() {
     nock.cleanAll();
   });
 
-  function getRestorePipeline(fileName = './test/fixtures/animaldb_expected.json') {
+  function getRestorePipeline(fileName = './test/fixtures/animaldb_expected.json', options = {}) {
     return restorePipeline(
       dbClient,
-      { bufferSize: 500, parallelism: 1 },
-      fs.createReadStream(fileName),
+      { bufferSize: 500, parallelism: 1, ...options },
+      Array.isArray(fileName) ? backupChainStream(fileName, options) : fs.createReadStream(fileName),
       new EventEmitter()
     ).then((summary) => {
       assert.ok(nock.isDone());
@@ -120,6 +125,128 @@ describe('#unit Check database restore', function() {
       });
   });
 
+  it('should restore a ndjson backup file with a document on each line', async function() {
+    nock(dbUrl)
+      // the conflicting revisions of _design/views101 on consecutive lines are restored as the winner
+      .post('/_bulk_docs')
+      .reply(200, []); // success
+
+    return getRestorePipeline('./test/fixtures/animaldb_expected.ndjson', { winnersOnly: true })
+      .then((total) => {
+        assert.strictEqual(total, 14);
+      });
+  });
+
+  it('should restore a tar backup file with an entry for each document', async function() {
+    nock(dbUrl)
+      .post('/_bulk_docs')
+      .reply(200, []); // success
+
+    return getRestorePipeline('./test/fixtures/animaldb_expected.tar', { winnersOnly: true })
+      .then((total) => {
+        assert.strictEqual(total, 14);
+      });
+  });
+
+  it('should fail for a backup file without a trailer after restoring the documents', async function() {
+    const couch = nock(dbUrl)
+      .post('/_bulk_docs')
+      .reply(200, []); // success
+
+    await assert.rejects(getRestorePipeline('./test/fixtures/animaldb_truncated.json'), {
+      name: 'BackupFileIncomplete',
+      message: 'The backup file is incomplete, it does not end with a trailer.'
+    });
+    assert.ok(couch.isDone());
+  });
+
+  it('should restore a chain of backup files starting from a continuous backup', async function() {
+    nock(dbUrl)
+      .post('/_bulk_docs')
+      .reply(200, []); // success
+
+    return getRestorePipeline(['./test/fixtures/chain_continuous.txt', './test/fixtures/chain_incremental.txt'])
+      .then((total) => {
+        assert.strictEqual(total, 4);
+      });
+  });
+
+  it('should stop restoring after a continuous backup ending at the until sequence', async function() {
+    nock(dbUrl)
+      .post('/_bulk_docs')
+      .reply(200, []); // success
+
+    return getRestorePipeline(['./test/fixtures/chain_continuous.txt', './test/fixtures/chain_incremental.txt'], { untilSeq: '2-abc' })
+      .then((total) => {
+        assert.strictEqual(total, 2);
+      });
+  });
+
+  it('should restore an incremental backup since a continuous backup', async function() {
+    const dir = fs.mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+    try {
+      const incremental = join(dir, 'incremental.txt');
+      nock(dbUrl)
+        .head('')
+        .reply(200)
+        .post('/_bulk_get')
+        .reply(200, { results: [] })
+        .get('')
+        .reply(200, { db_name: 'animaldb', doc_count: 3, doc_del_count: 0 })
+        .get('/_security')
+        .reply(200, {})
+        .get('/_revs_limit')
+        .reply(200, '1000')
+        // the changes since the last trailer of the continuous backup
+        .post('/_changes')
+        .query({ feed: 'normal', limit: 10000, seq_interval: 500, since: '2-abc' })
+        .reply(200, { results: [{ seq: '3-abc', id: 'doc3', changes: [{ rev: '1-5mno' }] }], last_seq: '3-abc', pending: 0 })
+        .post('/_bulk_get')
+        .query({ revs: true })
+        .reply(200, { results: [{ id: 'doc3', docs: [{ ok: { _id: 'doc3', _rev: '1-5mno', _revisions: { start: 1, ids: ['5mno'] } } }] }] });
+      const total = await promisify(backup)(dbUrl, fs.createWriteStream(incremental),
+        { since: './test/fixtures/chain_continuous.txt', log: join(dir, 'incremental.log') });
+      assert.strictEqual(total.total, 1);
+      assert.ok(nock.isDone());
+
+      nock(dbUrl)
+        .post('/_bulk_docs')
+        .reply(200, []); // success
+      assert.strictEqual(await getRestorePipeline(['./test/fixtures/chain_continuous.txt', incremental]), 3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should restore the database security after the documents', async function() {
+    nock(dbUrl)
+      .post('/_bulk_docs')
+      .reply(200, [])
+      .put('/_security')
+      .reply(200, { ok: true })
+      .put('/_revs_limit')
+      .reply(200, { ok: true });
+
+    return getRestorePipeline('./test/fixtures/security.txt', { restoreSecurity: true })
+      .then((total) => {
+        assert.strictEqual(total, 1);
+      });
+  });
+
+  it('should create the database with the backed up properties before restoring the documents', async function() {
+    nock(dbUrl)
+      .put('')
+      .query({ partitioned: true, q: 8 })
+      .reply(201, { ok: true })
+      .post('/_bulk_docs')
+      .reply(200, []);
+
+    return getRestorePipeline('./test/fixtures/security.txt', { createDatabase: true })
+      .then((total) => {
+        assert.strictEqual(total, 1);
+      });
+  });
+
   it('should get a batch error for non-empty array response with newEdits false', async function() {
     nock(dbUrl)
       .post('/_bulk_docs')
@@ -135,4 +262,16 @@ describe('#unit Check database restore', function() {
       }
     );
   });
+
+  it('should verify the attachment digests before restoring the documents', async function() {
+    // No _bulk_docs request is made for the truncated attachment
+    return assert.rejects(
+      getRestorePipeline('./test/fixtures/attachment_truncated.backup', { attachments: true, verifyAttachments: true }),
+      (err) => {
+        assert.strictEqual(err.name, 'AttachmentDigestMismatch');
+        assert.match(err.message, /^Attachment att.txt of document d1 revision 2-dfe86ede5cf44dd4c3d1436c32db4be2 has digest md5-\S+ instead of md5-mbpDbGREDlAqGyaN6zP1DA==.$/);
+        return true;
+      }
+    );
+  });
 });
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2024 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -15,8 +15,10 @@
 /* global afterEach beforeEach describe it */
 
 const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
 const { Writable } = require('node:stream');
 const { pipeline } = require('node:stream/promises');
+const { Backup } = require('../includes/backupMappings.js');
 const { Liner } = require('../includes/liner.js');
 const { newClient } = require('../includes/request.js');
 const { Restore, RESUME_COMMENT } = require('../includes/restoreMappings.js');
@@ -94,6 +96,30 @@ describe('#unit restore mappings', function() {
       assert.strictEqual(restore.suppressAllBrokenJSONErrors, false);
     });
 
+    it('should emit a metadata event for a metadata line', async function() {
+      const ee = new EventEmitter();
+      const emitted = [];
+      ee.on('metadata', (m) => emitted.push(m));
+      const rangeMetadata = { name: 'couchbackup', version: '2.11.20', mode: 'shallow', idPrefix: 'cust1:' };
+      new Restore(null, {}, ee).backupLineToDocsArray(liner.wrapLine(JSON.stringify(rangeMetadata)));
+      assert.deepStrictEqual(emitted, [rangeMetadata]);
+    });
+
+    it('should error for restoring the security from a metadata line without security', async function() {
+      assert.throws(() => {
+        new Restore(null, { restoreSecurity: true }).backupLineToDocsArray(liner.wrapLine(metadata));
+      }, { name: 'SecurityMetadataAbsent', message: 'Cannot restore the database security because the backup file does not record it.' });
+    });
+
+    it('should collect the local docs of a local docs line', async function() {
+      restore.backupLineToDocsArray(liner.wrapLine(metadata));
+      const localDocs = [{ _id: '_local/device1', _rev: '0-1' }, { _id: '_local/device2', _rev: '0-2' }];
+      const result = restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify({ localDocs })));
+      // Local docs are not restored with the batches of docs
+      assert.deepStrictEqual(result, []);
+      assert.deepStrictEqual([...restore.localDocs.values()], localDocs);
+    });
+
     it('should error for a metadata line that is not the first line', async function() {
       // First line is a backup line
       restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify(testDocs[0])));
@@ -135,6 +161,13 @@ describe('#unit restore mappings', function() {
       assert.deepStrictEqual(result, []);
     });
 
+    it('should handle a corrupted line with resume comment in a shallow backup', async function() {
+      restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify({ name: 'couchbackup', version: '2.11.20', mode: 'shallow' })));
+      const result = restore.backupLineToDocsArray(liner.wrapLine(`${JSON.stringify(testDocs[0]).slice(0, -15)}${RESUME_COMMENT}`));
+      // Shallow backups can be resumed so the broken line is ignored
+      assert.deepStrictEqual(result, []);
+    });
+
     it('should handle line containing only resume comment', async function() {
       const result = restore.backupLineToDocsArray(liner.wrapLine(RESUME_COMMENT));
       // For a blank line we expect an empty array
@@ -148,6 +181,172 @@ describe('#unit restore mappings', function() {
     });
   });
 
+  describe('backupLineToDocsArray with a chain of backup files', function() {
+    const baseMetadata = { name: 'couchbackup', version: '2.11.20', mode: 'full', lastSeq: '2-abc', timestamp: '2026-10-01T00:00:00.000Z' };
+    const deltaMetadata = { name: 'couchbackup', version: '2.11.20', mode: 'full', since: '2-abc', lastSeq: '4-def', timestamp: '2026-10-01T01:00:00.000Z' };
+
+    function restoreChain(options, metadatas) {
+      const liner = new Liner();
+      const restore = new Restore(null, options);
+      const docs = [];
+      metadatas.forEach((metadata, index) => {
+        restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify(metadata)));
+        docs.push(...restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify(testDocs[index]))));
+        restore.backupLineToDocsArray(liner.wrapLine(''));
+      });
+      return { restore, docs };
+    }
+
+    it('should restore the docs of all the backup files in a chain', async function() {
+      const { docs } = restoreChain({}, [baseMetadata, deltaMetadata]);
+      assert.deepStrictEqual(docs, [...testDocs[0], ...testDocs[1]]);
+    });
+
+    it('should error for metadata that does not chain', async function() {
+      assert.throws(() => restoreChain({}, [baseMetadata, { ...deltaMetadata, since: '1-xyz' }]),
+        { name: 'BackupChainError', message: 'Backup file since sequence 1-xyz does not match the previous backup file last sequence 2-abc.' });
+    });
+
+    it('should stop after the backup file ending at the until sequence', async function() {
+      const { restore, docs } = restoreChain({ untilSeq: '2-abc' }, [baseMetadata, deltaMetadata]);
+      assert.deepStrictEqual(docs, testDocs[0]);
+      assert.strictEqual(restore.untilSeqReached, true);
+    });
+
+    it('should stop before a backup file taken after the until time', async function() {
+      const { docs } = restoreChain({ until: '2026-10-01T00:30:00.000Z' }, [baseMetadata, deltaMetadata]);
+      assert.deepStrictEqual(docs, testDocs[0]);
+    });
+
+    it('should error if the first backup file was taken after the until time', async function() {
+      assert.throws(() => restoreChain({ until: '2026-09-30T00:00:00.000Z' }, [baseMetadata]),
+        { name: 'BackupChainError', message: 'The backup file timestamp 2026-10-01T00:00:00.000Z is after the time to restore until.' });
+    });
+  });
+
+  describe('backupLineToDocsArray with winners only', function() {
+    const revisions = { start: 3, ids: ['c', 'b', 'a'] };
+
+    function restoreWinners(docs) {
+      return new Restore(null, { winnersOnly: true }).backupLineToDocsArray(new Liner().wrapLine(JSON.stringify(docs)));
+    }
+
+    it('should restore the leaf revision with the longest history', async function() {
+      const winner = { _id: 'doc1', _rev: '10-a', _revisions: { start: 10, ids: ['a'] } };
+      assert.deepStrictEqual(restoreWinners([{ _id: 'doc1', _rev: '3-c', _revisions: revisions }, winner]), [winner]);
+    });
+
+    it('should restore the leaf revision with the greatest hash for the same history length', async function() {
+      const winner = { _id: 'doc1', _rev: '3-d', _revisions: { start: 3, ids: ['d', 'b', 'a'] } };
+      assert.deepStrictEqual(restoreWinners([winner, { _id: 'doc1', _rev: '3-c', _revisions: revisions }]), [winner]);
+    });
+
+    it('should restore a leaf revision that is not deleted over a deleted revision', async function() {
+      const winner = { _id: 'doc1', _rev: '3-c', _revisions: revisions };
+      assert.deepStrictEqual(restoreWinners([{ _id: 'doc1', _rev: '4-d', _deleted: true }, winner]), [winner]);
+    });
+
+    it('should restore the docs without conflicts in order', async function() {
+      const docs = [{ _id: 'doc1', _rev: '1-a' }, { _id: 'doc2', _rev: '2-b' }, { _id: 'doc2', _rev: '2-a' }, { _id: 'doc3', _rev: '1-c' }];
+      assert.deepStrictEqual(restoreWinners(docs), [docs[0], docs[1], docs[3]]);
+    });
+
+    it('should restore docs without revisions', async function() {
+      const docs = [{ _id: 'doc1' }, { _id: 'doc2' }];
+      assert.deepStrictEqual(restoreWinners(docs), docs);
+    });
+  });
+
+  describe('backupLineToDocsArray with a trailer', function() {
+    const metadata = JSON.stringify({ name: 'couchbackup', version: '2.11.20', mode: 'full', trailer: true });
+
+    // Write the backup file lines with the backup mappings
+    function backupLines(batches) {
+      const backup = new Backup(null, {});
+      const lines = batches.map((docs, batch) => backup.backupBatchToBackupFileLine({ batch, docs }).trimEnd());
+      return { lines, trailer: backup.backupFileTrailer().trimEnd() };
+    }
+
+    function restoreLines(options, lines) {
+      const liner = new Liner();
+      const restore = new Restore(null, options);
+      const docs = [];
+      for (const line of lines) {
+        docs.push(...restore.backupLineToDocsArray(liner.wrapLine(line)));
+      }
+      restore.checkTrailerRead();
+      return docs;
+    }
+
+    it('should verify the trailer of a complete backup file', async function() {
+      const { lines, trailer } = backupLines(testDocs);
+      assert.deepStrictEqual(restoreLines({}, [metadata, ...lines, trailer]), testDocs.flat());
+    });
+
+    it('should verify the trailer of a resumed backup file', async function() {
+      const { lines, trailer } = backupLines(testDocs.slice(1));
+      // The first backup was interrupted writing the second line
+      const interrupted = `${JSON.stringify(testDocs[1]).slice(0, -10)}${RESUME_COMMENT}`;
+      assert.deepStrictEqual(restoreLines({}, [metadata, JSON.stringify(testDocs[0]), interrupted, ...lines, trailer]), testDocs.flat());
+    });
+
+    it('should error for a backup file without a trailer', async function() {
+      const { lines } = backupLines(testDocs);
+      assert.throws(() => restoreLines({}, [metadata, ...lines.slice(0, 2)]),
+        { name: 'BackupFileIncomplete', message: 'The backup file is incomplete, it does not end with a trailer.' });
+    });
+
+    it('should error for a trailer that does not match the backup file', async function() {
+      const { lines, trailer } = backupLines(testDocs);
+      assert.throws(() => restoreLines({}, [metadata, lines[0], lines[2], trailer]),
+        { name: 'BackupFileIncomplete', message: 'The backup file is incomplete or corrupted, the trailer records 9 documents but 6 were read.' });
+    });
+
+    it('should warn for a backup file without a trailer with the allowUnverified option', async function() {
+      const { lines } = backupLines(testDocs);
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      try {
+        assert.deepStrictEqual(restoreLines({ allowUnverified: true }, [metadata, ...lines]), testDocs.flat());
+      } finally {
+        console.warn = warn;
+      }
+      assert.deepStrictEqual(warnings, ['WARNING: The backup file is incomplete, it does not end with a trailer.']);
+    });
+  });
+
+  describe('backupLineToDocsArray with a ndjson backup file', function() {
+    const metadata = { name: 'couchbackup', version: '2.11.20', mode: 'full', format: 'ndjson' };
+
+    function restoreLines(options, lines) {
+      const liner = new Liner();
+      const restore = new Restore(null, options);
+      const docs = [];
+      for (const line of [metadata, ...lines]) {
+        docs.push(...restore.backupLineToDocsArray(liner.wrapLine(JSON.stringify(line))));
+      }
+      docs.push(...restore.flushRevisions());
+      return { restore, docs };
+    }
+
+    it('should restore a document from each line', async function() {
+      const { restore, docs } = restoreLines({}, testDocs[0]);
+      assert.strictEqual(restore.backupFormat, 'ndjson');
+      assert.deepStrictEqual(docs, testDocs[0]);
+    });
+
+    it('should restore a document with the same fields as the metadata', async function() {
+      const doc = { _id: 'doc1', _rev: '1-a', name: 'aardvark', version: 2, mode: 'wild' };
+      assert.deepStrictEqual(restoreLines({}, [doc]).docs, [doc]);
+    });
+
+    it('should restore the winning revisions of documents on consecutive lines', async function() {
+      const docs = [{ _id: 'doc1', _rev: '1-a' }, { _id: 'doc2', _rev: '2-a' }, { _id: 'doc2', _rev: '2-b' }, { _id: 'doc3', _rev: '1-c' }, { _id: 'doc3', _rev: '2-c' }];
+      assert.deepStrictEqual(restoreLines({ winnersOnly: true }, docs).docs, [docs[0], docs[2], docs[4]]);
+    });
+  });
+
   describe('backupLineToDocsArray with attachments', function() {
     const atf = [{ attachments: true }, { attachments: false }];
     // Test the option being true/false
@@ -191,6 +390,30 @@ describe('#unit restore mappings', function() {
         });
       });
     });
+
+    it('should error when restoring attachment files without an attachments directory', function() {
+      const metadata = JSON.stringify({ name: 'couchbackup', version: '2.11.20', mode: 'full', attachments: true, attachmentFiles: true });
+      const restore = new Restore(null, { attachments: true });
+      assert.throws(() => { restore.backupLineToDocsArray(new Liner().wrapLine(metadata)); }, {
+        name: 'AttachmentsDirAbsent',
+        message: 'To restore a backup file with attachment files, specify the attachments directory.'
+      });
+    });
+
+    it('should error when verifying attachments of a backup file without the verifyAttachments option', function() {
+      const metadata = JSON.stringify({ name: 'couchbackup', version: '2.11.20', mode: 'full', attachments: true });
+      const restore = new Restore(null, { attachments: true, verifyAttachments: true });
+      assert.throws(() => { restore.backupLineToDocsArray(new Liner().wrapLine(metadata)); }, {
+        name: 'AttachmentDigestsUnverifiable',
+        message: 'Cannot verify the attachments because the backup file was not created with the verifyAttachments option.'
+      });
+    });
+
+    it('should pass when restoring attachment files with an attachments directory', function() {
+      const metadata = JSON.stringify({ name: 'couchbackup', version: '2.11.20', mode: 'full', attachments: true, attachmentFiles: true });
+      const restore = new Restore(null, { attachments: true, attachmentsDir: 'attachments' });
+      assert.deepStrictEqual(restore.backupLineToDocsArray(new Liner().wrapLine(metadata)), []);
+    });
   });
 
   describe('docsToRestoreBatch', function() {
@@ -261,6 +484,23 @@ describe('#unit restore mappings', function() {
       assert.ok(nock.isDone(), 'The mocks should all be called.');
     });
 
+    it('should restore a docs array with trimmed revision histories', async function() {
+      nock.cleanAll();
+      const trimmingClient = newClient(`${url}/${dbName}`, { parallelism: 1 });
+      // Disable compression to make body assertions easier
+      trimmingClient.service.setEnableGzipCompression(false);
+      nock(url)
+        .post(`/${dbName}/_bulk_docs`, {
+          docs: [{ _id: 'doc1', _rev: '3-c', _revisions: { start: 3, ids: ['c'] } }],
+          new_edits: false
+        })
+        .reply(201, []);
+      const source = { batch: 0, docs: [{ _id: 'doc1', _rev: '3-c', _revisions: { start: 3, ids: ['c', 'b', 'a'] } }] };
+      const result = await new Restore(trimmingClient, { revsLimit: 1 }).pendingToRestored(source);
+      assert.deepStrictEqual(result, { batch: 0, documents: 1 });
+      assert.ok(nock.isDone(), 'The mocks should all be called.');
+    });
+
     it('should error for a restore HTTP error', async function() {
       // add an error response
       nock(url)
@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -16,11 +16,19 @@
 
 const assert = require('assert');
 const backup = require('../includes/backup.js');
+const { decompress } = require('../includes/compression.js');
+const { decrypt } = require('../includes/encryption.js');
 const { convertError } = require('../includes/error.js');
+const { RESUME_COMMENT } = require('../includes/restoreMappings.js');
+const { untar } = require('../includes/tar.js');
 const { newClient } = require('../includes/request.js');
 const fs = require('fs');
 const nock = require('nock');
 const events = require('events');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { PassThrough, Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
 
 // Note all these tests include a body parameter of include_docs and a query
 // string of include_docs because of a quirk of nano that when using the fetch
@@ -31,18 +39,19 @@ describe('#unit Perform backup using shallow backup', function() {
   const badgerKey = 'badger\0';
   const kookaburraKey = 'kookaburra\0';
   const snipeKey = 'snipe\0';
+  const dbInfo = { db_name: 'animaldb', props: {}, cluster: { q: 2, n: 1, w: 1, r: 1 } };
   let counter;
   let totals;
   let ee;
 
   // Function to create a DB object and call the shallow backup function
   // This is normally done by app.js
-  function shallowBackup(opts) {
+  function shallowBackup(opts, targetStream = fs.createWriteStream('/dev/null')) {
     const db = newClient(dbUrl, opts);
     // Disable compression to make body assertions easier
     db.service.setEnableGzipCompression(false);
     opts.mode = 'shallow';
-    return backup(db, opts, fs.createWriteStream('/dev/null'), ee);
+    return backup(db, opts, targetStream, ee);
   }
 
   beforeEach('Reset nocks and event emitter', function() {
@@ -57,6 +66,9 @@ describe('#unit Perform backup using shallow backup', function() {
 
   it('should perform a shallow backup', async function() {
     const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
       // batch 1
       .post('/_all_docs', { limit: 3, include_docs: true })
       .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
@@ -84,6 +96,9 @@ describe('#unit Perform backup using shallow backup', function() {
 
   it('should perform a shallow backup with transient error', async function() {
     const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
       // batch 1
       .post('/_all_docs', { limit: 3, include_docs: true })
       .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
@@ -115,6 +130,9 @@ describe('#unit Perform backup using shallow backup', function() {
 
   it('should fail to perform a shallow backup on fatal error', async function() {
     const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
       // batch 1
       .post('/_all_docs', { limit: 3, include_docs: true })
       .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
@@ -141,6 +159,9 @@ describe('#unit Perform backup using shallow backup', function() {
 
   it('should perform a shallow backup with attachments option', async function() {
     const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
       // batch 1
       .post('/_all_docs', { limit: 3, include_docs: true, attachments: true })
       .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
@@ -165,4 +186,206 @@ describe('#unit Perform backup using shallow backup', function() {
         assert.ok(couch.isDone());
       });
   });
+
+  it('should perform a shallow backup with revs option', async function() {
+    const rows = [
+      { id: 'aardvark', key: 'aardvark', value: { rev: '2-b' } },
+      { id: 'badger', key: 'badger', value: { rev: '1-a' } }
+    ];
+    const aardvark = { _id: 'aardvark', _rev: '2-b', _revisions: { start: 2, ids: ['b', 'a'] } };
+    const badger = { _id: 'badger', _rev: '1-a', _revisions: { start: 1, ids: ['a'] } };
+    const couch = nock(dbUrl)
+      // _bulk_get support check
+      .post('/_bulk_get', { docs: [] })
+      .reply(200, { results: [] })
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      // the only batch lists the current revisions
+      .post('/_all_docs', { limit: 3, include_docs: false })
+      .reply(200, { total_rows: 2, offset: 0, rows })
+      // fetch the current revisions with their histories
+      .post('/_bulk_get', { docs: [{ id: 'aardvark', rev: '2-b' }, { id: 'badger', rev: '1-a' }] })
+      .query({ revs: true })
+      .reply(200, { results: [{ id: 'aardvark', docs: [{ ok: aardvark }] }, { id: 'badger', docs: [{ ok: badger }] }] });
+    const summary = await shallowBackup({ bufferSize: 3, parallelism: 1, revs: true });
+    // Assert the promise total
+    assert.strictEqual(summary.total, 2);
+    // Assert correct batch increments
+    assert.deepStrictEqual(totals, [2]);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  });
+
+  it('should write a compressed shallow backup', async function() {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      .post('/_all_docs', { limit: 3, include_docs: true })
+      .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
+      .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+      .reply(200, { rows: [] });
+    const output = new PassThrough();
+    const [summary, compressed] = await Promise.all([
+      shallowBackup({ bufferSize: 3, parallelism: 1, compress: 'gzip' }, output),
+      buffer(output)
+    ]);
+    assert.strictEqual(summary.total, 3);
+    // Assert the backup file is gzip compressed
+    assert.deepStrictEqual(compressed.subarray(0, 2), Buffer.from([0x1f, 0x8b]));
+    const lines = (await text(decompress(Readable.from([compressed])))).split('\n');
+    // Assert the header records the compression
+    assert.strictEqual(JSON.parse(lines[0]).compression, 'gzip');
+    assert.strictEqual(JSON.parse(lines[1]).length, 3);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  });
+
+  it('should write a shallow backup with a document on each line', async function() {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      .post('/_all_docs', { limit: 3, include_docs: true })
+      .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
+      .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+      .reply(200, { rows: [] });
+    const output = new PassThrough();
+    const [summary, contents] = await Promise.all([
+      shallowBackup({ bufferSize: 3, parallelism: 1, format: 'ndjson' }, output),
+      text(output)
+    ]);
+    assert.strictEqual(summary.total, 3);
+    const lines = contents.split('\n');
+    // Assert the header records the format
+    assert.strictEqual(JSON.parse(lines[0]).format, 'ndjson');
+    assert.deepStrictEqual(lines.slice(1, 4).map((line) => typeof JSON.parse(line)._id), ['string', 'string', 'string']);
+    assert.strictEqual(JSON.parse(lines[4]).trailer.docs, 3);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  });
+
+  it('should write a shallow backup as a tar archive', async function() {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      .post('/_all_docs', { limit: 3, include_docs: true })
+      .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
+      .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+      .reply(200, { rows: [] });
+    const output = new PassThrough();
+    const [summary, archive] = await Promise.all([
+      shallowBackup({ bufferSize: 3, parallelism: 1, format: 'tar' }, output),
+      buffer(output)
+    ]);
+    assert.strictEqual(summary.total, 3);
+    // Assert the archive starts with the manifest entry
+    assert.strictEqual(archive.toString('utf-8', 0, 13), 'manifest.json');
+    const lines = (await text(untar(Readable.from([archive])))).split('\n');
+    assert.strictEqual(JSON.parse(lines[0]).format, 'tar');
+    assert.deepStrictEqual(lines.slice(1, 4).map((line) => typeof JSON.parse(line)._id), ['string', 'string', 'string']);
+    assert.strictEqual(JSON.parse(lines[4]).trailer.docs, 3);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  });
+
+  async function tarRoundTrip(options) {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      .post('/_all_docs', { limit: 3, include_docs: true })
+      .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
+      .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+      .reply(200, { rows: [] });
+    const output = new PassThrough();
+    const [summary, backupFile] = await Promise.all([
+      shallowBackup({ bufferSize: 3, parallelism: 1, format: 'tar', ...options }, output),
+      buffer(output)
+    ]);
+    assert.strictEqual(summary.total, 3);
+    // Assert the archive is compressed and encrypted, not the lines in it
+    assert.strictEqual(backupFile.indexOf('manifest.json'), -1);
+    const lines = (await text(untar(decompress(decrypt(options)(Readable.from([backupFile])))))).split('\n');
+    assert.strictEqual(JSON.parse(lines[0]).format, 'tar');
+    assert.deepStrictEqual(lines.slice(1, 4).map((line) => typeof JSON.parse(line)._id), ['string', 'string', 'string']);
+    assert.strictEqual(JSON.parse(lines[4]).trailer.docs, 3);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  }
+
+  it('should write a compressed shallow backup as a tar archive', async function() {
+    await tarRoundTrip({ compress: 'gzip' });
+  });
+
+  it('should write an encrypted shallow backup as a tar archive', async function() {
+    await tarRoundTrip({ encrypt: true, encryptionPassphrase: 'secret' });
+  });
+
+  it('should write an encrypted and compressed shallow backup', async function() {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo)
+      .post('/_all_docs', { limit: 3, include_docs: true })
+      .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_1.json', 'utf8')))
+      .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+      .reply(200, { rows: [] });
+    const output = new PassThrough();
+    const options = { bufferSize: 3, parallelism: 1, compress: 'brotli', encrypt: true, encryptionPassphrase: 'secret' };
+    const [summary, encrypted] = await Promise.all([shallowBackup(options, output), buffer(output)]);
+    assert.strictEqual(summary.total, 3);
+    // Assert the backup file starts with the encryption preamble
+    assert.match(encrypted.toString('utf-8', 8, 8 + encrypted.readUInt32LE(4)), /"cipher":"aes-256-gcm"/);
+    const lines = (await text(decompress(decrypt(options)(Readable.from([encrypted]))))).split('\n');
+    assert.strictEqual(JSON.parse(lines[0]).compression, 'brotli');
+    assert.strictEqual(JSON.parse(lines[1]).length, 3);
+    // Assert nocks complete
+    assert.ok(couch.isDone());
+  });
+
+  it('should reject for an encryption key file without a key', async function() {
+    const couch = nock(dbUrl)
+      // database properties for the backup file metadata
+      .get('')
+      .reply(200, dbInfo);
+    const options = { bufferSize: 3, parallelism: 1, encrypt: true, encryptionKeyFile: './test/fixtures/test.log' };
+    await assert.rejects(shallowBackup(options, new PassThrough()), { name: 'InvalidOption' });
+    assert.ok(couch.isDone());
+  });
+
+  it('should resume a shallow backup from the log file checkpoints', async function() {
+    const dir = fs.mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+    const log = join(dir, 'animaldb.log');
+    const output = join(dir, 'animaldb.txt');
+    try {
+      fs.writeFileSync(log, [
+        ':r range0 {}',
+        ':d batch0',
+        `:r range0 ${JSON.stringify({ startKey: badgerKey, complete: false })}`,
+        ''
+      ].join('\n'));
+      const couch = nock(dbUrl)
+        // continue from the checkpoint
+        .post('/_all_docs', { limit: 3, start_key: badgerKey, include_docs: true })
+        .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_2.json', 'utf8')))
+        .post('/_all_docs', { limit: 3, start_key: kookaburraKey, include_docs: true })
+        .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_3.json', 'utf8')))
+        .post('/_all_docs', { limit: 3, start_key: snipeKey, include_docs: true })
+        .reply(200, JSON.parse(fs.readFileSync('./test/fixtures/animaldb_all_docs_4.json', 'utf8')));
+      const summary = await shallowBackup({ bufferSize: 3, parallelism: 1, log, resume: true }, fs.createWriteStream(output));
+      // Assert the promise total
+      assert.strictEqual(summary.total, 8);
+      // Assert the backup file continues after a resume marker
+      assert.strictEqual(fs.readFileSync(output, 'utf8').split('\n')[0], RESUME_COMMENT);
+      // Assert the batches continue from the last batch and the range completes
+      assert.match(fs.readFileSync(log, 'utf8'), /:d batch3\n:r range0 \{"startKey":"zebra\\u0000","complete":true\}\n$/);
+      // Assert nocks complete
+      assert.ok(couch.isDone());
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
 });
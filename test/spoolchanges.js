@@ -1,4 +1,4 @@
-// Copyright © 2017, 2024 IBM Corp. All rights reserved.
+// Copyright © 2017, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -17,6 +17,8 @@
 const assert = require('assert');
 const nock = require('nock');
 const http = require('node:http');
+const { Writable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
 const { newClient } = require('../includes/request.js');
 const spoolchanges = require('../includes/spoolchanges.js');
 const { convertError } = require('../includes/error.js');
@@ -34,7 +36,7 @@ const seqSuffix = Buffer.alloc(124, 'abc123').toString('base64');
 
 function changes(bufferSize, tolerance) {
   // Make a pipeline of the spool changes source streams
-  return spoolchanges(dbClient, '/dev/null', () => {}, bufferSize, tolerance)
+  return spoolchanges(dbClient, { log: '/dev/null', bufferSize }, () => {}, tolerance)
     // Historically spool changes itself could return an error, but
     // now it returns a pipeline promise.
     // Error conversion takes place in the top level functions
@@ -84,6 +86,111 @@ describe('Check spool changes', function() {
     }).timeout(longTestTimeout);
   });
 
+  describe('#unit selector', function() {
+    it('should spool changes with a selector filter', async function() {
+      const selector = { type: 'tenant' };
+      const selectorDbClient = newClient(`${url}/${dbName}`, { parallelism: 1 });
+      // Disable compression to make body assertions easier
+      selectorDbClient.service.setEnableGzipCompression(false);
+      nock(url)
+        .post(`/${dbName}/_changes`, { selector })
+        .query((query) => query.filter === '_selector')
+        .reply(200, {
+          results: [{ seq: `1-${seqSuffix}`, id: 'doc1', changes: [{ rev: '1-abcdef0123456789abcdef0123456789' }] }],
+          pending: 0,
+          last_seq: `1-${seqSuffix}`
+        });
+      return spoolchanges(selectorDbClient, { log: '/dev/null', selector }, () => {}, 0)
+        .then(() => {
+          assert.ok(nock.isDone());
+        });
+    });
+  });
+
+  describe('#unit partition', function() {
+    it('should spool only the changes for the partition', async function() {
+      const docIds = [];
+      nock(url)
+        .post(`/${dbName}/_changes`)
+        .query(true)
+        .reply(200, {
+          results: ['tenant1:doc1', 'tenant2:doc1', 'tenant1:doc2', 'tenant10:doc1'].map((id, index) => {
+            return { seq: `${index + 1}-${seqSuffix}`, id, changes: [{ rev: '1-abcdef0123456789abcdef0123456789' }] };
+          }),
+          pending: 0,
+          last_seq: `4-${seqSuffix}`
+        });
+      return spoolchanges(dbClient, { log: '/dev/null', partition: 'tenant1' }, (backupBatch) => {
+        docIds.push(...backupBatch.docs.map((doc) => doc.id));
+      }, 0)
+        .then(() => {
+          assert.deepStrictEqual(docIds, ['tenant1:doc1', 'tenant1:doc2']);
+          assert.ok(nock.isDone());
+        });
+    });
+  });
+
+  describe('#unit since', function() {
+    it('should spool changes since a sequence', async function() {
+      const docs = [];
+      nock(url)
+        .post(`/${dbName}/_changes`)
+        .query((query) => query.since === `5-${seqSuffix}`)
+        .reply(200, {
+          results: [
+            { seq: `6-${seqSuffix}`, id: 'doc1', changes: [{ rev: '2-abcdef0123456789abcdef0123456789' }] },
+            { seq: `7-${seqSuffix}`, id: 'doc2', deleted: true, changes: [{ rev: '3-0123456789abcdef0123456789abcdef' }] }
+          ],
+          pending: 0,
+          last_seq: `7-${seqSuffix}`
+        });
+      return spoolchanges(dbClient, { log: '/dev/null', since: `5-${seqSuffix}` }, (backupBatch) => {
+        docs.push(...backupBatch.docs);
+      }, 0)
+        .then(() => {
+          assert.deepStrictEqual(docs, [{ id: 'doc1' }, { id: 'doc2' }]);
+          assert.ok(nock.isDone());
+        });
+    });
+  });
+
+  describe('#unit continuous', function() {
+    it('should follow changes until stopped', async function() {
+      const controller = new AbortController();
+      const backupBatches = [];
+      nock(url)
+        .post(`/${dbName}/_changes`)
+        .query((query) => query.since === '0')
+        .reply(200, {
+          results: [
+            { seq: `1-${seqSuffix}`, id: 'doc1', changes: [{ rev: '1-abcdef0123456789abcdef0123456789' }] },
+            { seq: `2-${seqSuffix}`, id: 'doc2', changes: [{ rev: '1-abcdef0123456789abcdef0123456789' }] }
+          ],
+          pending: 0,
+          last_seq: `2-${seqSuffix}`
+        })
+        .post(`/${dbName}/_changes`)
+        .query((query) => query.since === `2-${seqSuffix}`)
+        .reply(200, { results: [], pending: 0, last_seq: `2-${seqSuffix}` });
+      const streams = spoolchanges(dbClient, { log: '/dev/null', bufferSize: 1, mode: 'continuous', signal: controller.signal }, () => {}, 0);
+      return pipeline(...streams, new Writable({
+        objectMode: true,
+        write: (backupBatch, encoding, callback) => {
+          backupBatches.push(backupBatch);
+          if (backupBatches.length === 2) {
+            controller.abort();
+          }
+          callback();
+        }
+      })).then(() => {
+        assert.deepStrictEqual(backupBatches, [
+          { command: 't', batch: 0, docs: [{ id: 'doc1' }], seq: `1-${seqSuffix}` },
+          { command: 't', batch: 1, docs: [{ id: 'doc2' }], seq: `2-${seqSuffix}` }
+        ]);
+      });
+    });
+  });
+
   describe('success cases', function() {
     let server;
     let batchSize;
@@ -0,0 +1,117 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it */
+
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const { mkdtempSync, rmSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { PassThrough, Readable } = require('node:stream');
+const { buffer, text } = require('node:stream/consumers');
+const { finished } = require('node:stream/promises');
+const { TarWritable, untar } = require('../includes/tar.js');
+
+describe('#unit tar', function() {
+  const header = '{"name":"@cloudant/couchbackup","version":"2.11.20","mode":"full","format":"tar","trailer":true}\n';
+  const localDocs = '{"localDocs":[{"_id":"_local/checkpoint","seq":"1-a"}]}\n';
+  const docs = [
+    '{"_id":"aardvark","_rev":"1-a","class":"mammal"}\n',
+    '{"_id":"badger","_rev":"2-b","_attachments":{"photo/1.png":{"content_type":"image/png","revpos":2,"digest":"md5-CY9rzUYh03PK3k6DJie09g==","data":"dGVzdA=="}}}\n',
+    '{"_id":"badger","_rev":"2-c","class":"mammal"}\n'
+  ];
+  const trailer = '{"trailer":{"docs":3,"batches":1,"sha256":"0"}}\n';
+  const lines = [header, localDocs, ...docs, trailer];
+
+  async function archive(chunks) {
+    const target = new PassThrough();
+    const tar = new TarWritable(target);
+    for (const chunk of chunks) {
+      tar.write(chunk);
+    }
+    tar.end();
+    const [archived] = await Promise.all([buffer(target), finished(tar)]);
+    return archived;
+  }
+
+  function untarred(bytes) {
+    return text(untar(Readable.from([bytes])));
+  }
+
+  it('should restore the backup file lines from the archive', async function() {
+    assert.strictEqual(await untarred(await archive([header, localDocs, docs.join(''), trailer])), lines.join(''));
+  });
+
+  it('should write an archive readable by tar', async function() {
+    const longId = 'a'.repeat(120);
+    const archived = await archive([header, localDocs, docs.join(''), `{"_id":"${longId}","_rev":"1-d"}\n`, trailer]);
+    const dir = mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+    try {
+      writeFileSync(join(dir, 'backup.tar'), archived);
+      let names;
+      try {
+        names = execFileSync('tar', ['-tf', join(dir, 'backup.tar')], { encoding: 'utf-8' });
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          // tar is not installed
+          this.skip();
+        }
+        throw err;
+      }
+      assert.deepStrictEqual(names.trim().split('\n'), [
+        'manifest.json',
+        'local/_local%2Fcheckpoint.json',
+        'docs/aardvark.json',
+        'attachments/badger/photo%2F1.png',
+        'docs/badger.json',
+        'docs/badger@2-c.json',
+        `docs/${longId}.json`,
+        'trailer.json'
+      ]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write attachments as raw data with stubs in the document', async function() {
+    const archived = await archive([docs[1]]);
+    assert.notStrictEqual(archived.indexOf('test'), -1);
+    assert.strictEqual(archived.indexOf('dGVzdA=='), -1);
+    assert.notStrictEqual(archived.indexOf('"stub":true'), -1);
+  });
+
+  it('should restore a document with a PAX extended header name', async function() {
+    const line = `{"_id":"${'é'.repeat(80)}","_rev":"1-a"}\n`;
+    assert.strictEqual(await untarred(await archive([header, line])), header + line);
+  });
+
+  it('should skip an incomplete entry of an interrupted backup', async function() {
+    const interrupted = await archive([header, docs[0]]);
+    const incomplete = (await archive([docs[1]])).subarray(0, 700);
+    const resumed = await archive(['{"marker":"@cloudant/couchbackup:resume"}\n', docs[1], trailer]);
+    assert.strictEqual(await untarred(Buffer.concat([interrupted, incomplete, resumed])),
+      [header, docs[0], '{"marker":"@cloudant/couchbackup:resume"}\n', docs[1], trailer].join(''));
+  });
+
+  it('should ignore an incomplete entry at the end of the archive', async function() {
+    const complete = await archive([header, docs[0]]);
+    const incomplete = (await archive([docs[1]])).subarray(0, 700);
+    assert.strictEqual(await untarred(Buffer.concat([complete, incomplete])), header + docs[0]);
+  });
+
+  it('should pass through a backup file that is not a tar archive', async function() {
+    assert.strictEqual(await untarred(Buffer.from(lines.join(''))), lines.join(''));
+  });
+});
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2025 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -110,6 +110,17 @@ module.exports = {
       if (params.opts.attachments) {
         args.push('--attachments');
       }
+      if (params.opts.compress) {
+        args.push('--compress');
+        args.push(params.opts.compress);
+      }
+      if (params.opts.encrypt) {
+        args.push('--encrypt');
+      }
+      if (params.opts.encryptionKeyFile) {
+        args.push('--encryption-key-file');
+        args.push(params.opts.encryptionKeyFile);
+      }
     }
     return new TestProcess('./bin/couchbackup.bin.js', args, 'readable');
   },
@@ -135,6 +146,10 @@ module.exports = {
       if (params.opts.attachments) {
         args.push('--attachments');
       }
+      if (params.opts.encryptionKeyFile) {
+        args.push('--encryption-key-file');
+        args.push(params.opts.encryptionKeyFile);
+      }
     }
     return new TestProcess('./bin/couchrestore.bin.js', args, 'writable');
   },
@@ -1,4 +1,4 @@
-// Copyright © 2023, 2024 IBM Corp. All rights reserved.
+// Copyright © 2023, 2026 IBM Corp. All rights reserved.
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -18,7 +18,7 @@ const assert = require('node:assert');
 const tp = require('node:timers/promises');
 const { Readable, Writable, PassThrough } = require('node:stream');
 const { pipeline } = require('node:stream/promises');
-const { BatchingStream, DelegateWritable, FilterStream, MappingStream, SideEffect, WritableWithPassThrough } = require('../includes/transforms.js');
+const { BatchingStream, DelegateWritable, FilterStream, MappingStream, SideEffect, WrappingWritable, WritableWithPassThrough } = require('../includes/transforms.js');
 const events = require('events');
 
 describe('#unit should do transforms', function() {
@@ -72,6 +72,25 @@ describe('#unit should do transforms', function() {
     it('remaining partial batch', async function() {
       return testBatching(25, 4);
     });
+    it('flushes a partial batch after the flush interval', async function() {
+      const batches = [];
+      const source = new PassThrough({ objectMode: true });
+      const done = pipeline(source, new BatchingStream(3, false, 1, 10), new Writable({
+        objectMode: true,
+        write(chunk, encoding, callback) {
+          batches.push(chunk);
+          callback();
+        }
+      }));
+      source.write('a');
+      await tp.setTimeout(50);
+      // The partial batch is flushed before the source ends
+      assert.deepStrictEqual(batches, [['a']]);
+      source.write('b');
+      source.end('c');
+      await done;
+      assert.deepStrictEqual(batches, [['a'], ['b', 'c']]);
+    });
   });
 
   describe('DelegateWritable', function() {
@@ -158,6 +177,41 @@ describe('#unit should do transforms', function() {
     });
   });
 
+  describe('WrappingWritable', function() {
+    class PrefixingWritable extends WrappingWritable {
+      constructor(prefix, targetWritable) {
+        super(prefix, targetWritable);
+        this.prefix = prefix;
+      }
+
+      async wrapChunk(chunk) {
+        if (this.prefix === 'error') {
+          throw new Error('wrapping error');
+        }
+        return Buffer.from(`${this.prefix}${chunk}`);
+      }
+    }
+
+    it('should write the wrapped chunks of stacked wrappers', async function() {
+      const output = [];
+      const target = new Writable({
+        write: (chunk, encoding, callback) => {
+          output.push(chunk.toString());
+          callback();
+        }
+      });
+      await pipeline(['a', 'b'], new PrefixingWritable('outer:', new PrefixingWritable('inner:', target)));
+      assert.deepStrictEqual(output, ['inner:outer:a', 'inner:outer:b']);
+    });
+
+    it('should pass the error of an inner wrapper to the pipeline', async function() {
+      const target = new PassThrough();
+      await assert.rejects(pipeline(['a', 'b'], new PrefixingWritable('outer:', new PrefixingWritable('error', target))), {
+        message: 'wrapping error'
+      });
+    });
+  });
+
   describe('FilterStream', async function() {
     it('should filter', async function() {
       const out = new PassThrough({ objectMode: true });
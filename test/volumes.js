@@ -0,0 +1,135 @@
+// Copyright © 2026 IBM Corp. All rights reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe it beforeEach afterEach */
+
+const assert = require('node:assert');
+const { existsSync, mkdtempSync, readFileSync, rmSync, statSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { text } = require('node:stream/consumers');
+const { finished } = require('node:stream/promises');
+const { backupChainStream } = require('../includes/backupfiles.js');
+const { readVolumeHeader, volumeFileName, volumeSets, VolumeWritable } = require('../includes/volumes.js');
+
+describe('#unit volumes', function() {
+  const lines = [
+    '{"name":"@cloudant/couchbackup","version":"2.11.20","mode":"full"}\n',
+    '[{"_id":"aardvark","_rev":"1-a","class":"mammal"}]\n',
+    '[{"_id":"badger","_rev":"1-b","class":"mammal"}]\n',
+    '[{"_id":"cheetah","_rev":"1-c","class":"mammal"}]\n'
+  ];
+  let dir;
+  let output;
+
+  beforeEach('Create output directory', function() {
+    dir = mkdtempSync(join(tmpdir(), 'couchbackup-test-'));
+    output = join(dir, 'backup.txt');
+  });
+
+  afterEach('Remove output directory', function() {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function writeVolumes(chunks, maxVolumeSize, resume = false) {
+    const volumes = new VolumeWritable(output, maxVolumeSize, resume);
+    for (const chunk of chunks) {
+      volumes.write(chunk);
+    }
+    volumes.end();
+    await finished(volumes);
+  }
+
+  function volumeNames(count) {
+    return Array.from({ length: count }, (_, i) => volumeFileName(output, i + 1));
+  }
+
+  it('should name volumes with a four digit number', function() {
+    assert.strictEqual(volumeFileName('backup.txt', 2), 'backup.txt.0002');
+  });
+
+  it('should roll over to the next volume between writes', async function() {
+    // Room for the volume header and two lines
+    await writeVolumes(lines, 200);
+    assert.ok(existsSync(volumeFileName(output, 2)));
+    assert.ok(!existsSync(volumeFileName(output, 3)));
+    for (const path of volumeNames(2)) {
+      assert.ok(statSync(path).size <= 200);
+    }
+    const headers = await Promise.all(volumeNames(2).map(readVolumeHeader));
+    assert.strictEqual(headers[0].set, headers[1].set);
+    assert.deepStrictEqual(headers.map(({ number, last }) => ({ number, last })),
+      [{ number: 1, last: false }, { number: 2, last: true }]);
+  });
+
+  it('should exceed the maximum size for a single large write', async function() {
+    await writeVolumes(lines, 10);
+    assert.ok(existsSync(volumeFileName(output, 4)));
+    assert.ok(!existsSync(volumeFileName(output, 5)));
+  });
+
+  it('should continue the last volume of a resumed backup', async function() {
+    await writeVolumes(lines.slice(0, 3), 200);
+    await writeVolumes(lines.slice(3), 200, true);
+    const headers = await Promise.all(volumeNames(2).map(readVolumeHeader));
+    assert.strictEqual(headers[0].set, headers[1].set);
+    assert.deepStrictEqual(headers.map(({ last }) => last), [false, true]);
+    assert.strictEqual(await text(backupChainStream(volumeNames(2))), `${lines.join('')}\n`);
+  });
+
+  it('should return null for a file that is not a volume', async function() {
+    assert.strictEqual(await readVolumeHeader('./test/fixtures/animaldb_expected.json'), null);
+  });
+
+  describe('volumeSets', function() {
+    it('should group the volumes of a set with other backup files', async function() {
+      await writeVolumes(lines, 200);
+      assert.deepStrictEqual(await volumeSets(['./test/fixtures/chain_full.txt', ...volumeNames(2)]),
+        [['./test/fixtures/chain_full.txt'], volumeNames(2)]);
+    });
+
+    it('should error for a missing first volume', async function() {
+      await writeVolumes(lines, 190);
+      await assert.rejects(volumeSets(volumeNames(3).slice(1)), {
+        name: 'VolumeSetError',
+        message: `Backup volume ${volumeFileName(output, 2)} is volume 2, but volume 1 of the set is missing.`
+      });
+    });
+
+    it('should error for a missing middle volume', async function() {
+      await writeVolumes(lines, 190);
+      const [first, , third] = volumeNames(3);
+      await assert.rejects(volumeSets([first, third]), {
+        name: 'VolumeSetError',
+        message: `Backup volume ${third} is volume 3, but volume 2 of the set is missing.`
+      });
+    });
+
+    it('should error for a missing last volume', async function() {
+      await writeVolumes(lines, 190);
+      await assert.rejects(volumeSets(volumeNames(2)), {
+        name: 'VolumeSetError',
+        message: `The volume set of ${volumeFileName(output, 1)} is missing the volumes after volume 2.`
+      });
+    });
+  });
+
+  describe('backupChainStream', function() {
+    it('should stream the volumes of a backup file without the volume headers', async function() {
+      await writeVolumes(lines, 190);
+      assert.strictEqual(await text(backupChainStream(volumeNames(3))), `${lines.join('')}\n`);
+      assert.ok(readFileSync(volumeFileName(output, 2), 'utf-8').startsWith('{"volume":'));
+    });
+  });
+});